@@ -0,0 +1,174 @@
+// analysis.js
+// Frequency analysis panel for the substitution pages (Aristocrat, Patristocrat and
+// Xenocrypt): cipher letter frequencies charted against the language's usual ones,
+// plus the common bigrams, trigrams, doubled letters and word starts and ends.
+// Clicking an entry highlights where it occurs in the puzzle grid, which marks each
+// letter box with its index in the ciphertext (data-position).
+
+const MAX_ANALYSIS_ENTRIES = 12; // Most entries listed per group
+
+let analysisGrid = null;         // The puzzle grid whose letter boxes get highlighted
+let highlightedEntry = '';       // The clicked entry, e.g. 'bigrams:XQ' ('' for none)
+let highlightedPositions = [];   // Ciphertext positions of the clicked entry
+
+/**
+ * Fills the analysis panel for a new ciphertext and clears any highlight.
+ * @param {HTMLElement} container - The element to render the panel into.
+ * @param {Object} options - { ciphertext, alphabet, frequencies: the language's usual
+ *     letter frequencies (percent), languageName, wordBreaks: whether the ciphertext
+ *     keeps its word divisions, grid: the puzzle grid element }
+ */
+function renderAnalysis(container, { ciphertext, alphabet, frequencies, languageName, wordBreaks, grid }) {
+    analysisGrid = grid;
+    highlightedEntry = '';
+    highlightedPositions = [];
+    container.innerHTML = '';
+
+    container.appendChild(renderFrequencyChart(ciphertext, alphabet, frequencies, languageName));
+
+    const analysis = CipherEngine.analyzeCiphertext(ciphertext, alphabet, wordBreaks);
+    const groups = [
+        { id: 'bigrams', title: 'Repeated Bigrams', entries: analysis.bigrams.filter(entry => entry.count > 1) },
+        { id: 'trigrams', title: 'Repeated Trigrams', entries: analysis.trigrams.filter(entry => entry.count > 1) },
+        { id: 'doubles', title: 'Doubled Letters', entries: analysis.doubles }
+    ];
+    if (wordBreaks) {
+        groups.push({ id: 'initials', title: 'Word Starts', entries: analysis.initials });
+        groups.push({ id: 'finals', title: 'Word Ends', entries: analysis.finals });
+    }
+
+    const lists = document.createElement('div');
+    lists.className = 'analysis-groups';
+    groups.forEach(group => lists.appendChild(renderAnalysisGroup(group)));
+    container.appendChild(lists);
+    applyAnalysisHighlight();
+}
+
+/**
+ * Charts each cipher letter's share of the ciphertext beside the language's letters,
+ * both most common first, so the likely matches line up row by row.
+ * @param {string} ciphertext - The ciphertext.
+ * @param {string} alphabet - The cipher's alphabet.
+ * @param {Object} frequencies - The language's usual letter frequencies (percent).
+ * @param {string} languageName - e.g. 'English'.
+ * @returns {HTMLElement} The chart.
+ */
+function renderFrequencyChart(ciphertext, alphabet, frequencies, languageName) {
+    const positions = {};
+    alphabet.split('').forEach(letter => positions[letter] = []);
+    ciphertext.split('').forEach((char, i) => {
+        if (alphabet.includes(char)) positions[char].push(i);
+    });
+    const total = Object.values(positions).reduce((sum, spots) => sum + spots.length, 0) || 1;
+
+    const cipherLetters = alphabet.split('')
+        .map(letter => ({ letter, percent: positions[letter].length / total * 100 }))
+        .sort((a, b) => b.percent - a.percent || a.letter.localeCompare(b.letter));
+    const referenceLetters = alphabet.split('')
+        .map(letter => ({ letter, percent: frequencies[letter] || 0 }))
+        .sort((a, b) => b.percent - a.percent || a.letter.localeCompare(b.letter));
+    const scale = Math.max(cipherLetters[0].percent, referenceLetters[0].percent) || 1;
+
+    const chart = document.createElement('div');
+    chart.className = 'frequency-chart';
+    const header = document.createElement('div');
+    header.className = 'chart-row chart-header';
+    header.innerHTML = `<span>Ciphertext %</span><span>${languageName} %</span>`;
+    chart.appendChild(header);
+
+    cipherLetters.forEach((cipher, rank) => {
+        const row = document.createElement('div');
+        row.className = 'chart-row';
+
+        const cipherBar = renderBar(cipher.letter, cipher.percent, scale, 'cipher-bar');
+        if (positions[cipher.letter].length > 0) {
+            cipherBar.classList.add('analysis-entry');
+            cipherBar.dataset.entry = `letters:${cipher.letter}`;
+            cipherBar.title = `Highlight every ${cipher.letter}`;
+            cipherBar.addEventListener('click', () => highlightAnalysisEntry(cipherBar.dataset.entry, positions[cipher.letter]));
+        }
+        row.appendChild(cipherBar);
+
+        const reference = referenceLetters[rank];
+        row.appendChild(renderBar(reference.letter, reference.percent, scale, 'reference-bar'));
+        chart.appendChild(row);
+    });
+    return chart;
+}
+
+/**
+ * Builds one labelled bar of the frequency chart.
+ * @param {string} letter - The bar's letter.
+ * @param {number} percent - Its frequency (percent).
+ * @param {number} scale - The percent drawn at full width.
+ * @param {string} className - 'cipher-bar' or 'reference-bar'.
+ * @returns {HTMLElement} The bar.
+ */
+function renderBar(letter, percent, scale, className) {
+    const bar = document.createElement('div');
+    bar.className = `chart-bar ${className}`;
+    bar.innerHTML = `<span class="bar-letter">${letter}</span>` +
+        `<span class="bar-track"><span class="bar-fill" style="width: ${percent / scale * 100}%"></span></span>` +
+        `<span class="bar-value">${percent.toFixed(1)}</span>`;
+    return bar;
+}
+
+/**
+ * Lists one group of entries (e.g. repeated bigrams) as clickable counts.
+ * @param {Object} group - { id, title, entries } with entries from CipherEngine.analyzeCiphertext.
+ * @returns {HTMLElement} The group.
+ */
+function renderAnalysisGroup({ id, title, entries }) {
+    const section = document.createElement('div');
+    section.className = 'analysis-group';
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    if (entries.length === 0) {
+        const none = document.createElement('span');
+        none.className = 'analysis-none';
+        none.textContent = 'None';
+        section.appendChild(none);
+    }
+    entries.slice(0, MAX_ANALYSIS_ENTRIES).forEach(entry => {
+        const button = document.createElement('button');
+        button.className = 'analysis-entry';
+        button.dataset.entry = `${id}:${entry.text}`;
+        button.textContent = `${entry.text} ×${entry.count}`;
+        button.addEventListener('click', () => highlightAnalysisEntry(button.dataset.entry, entry.positions));
+        section.appendChild(button);
+    });
+    return section;
+}
+
+/**
+ * Highlights an entry's occurrences in the puzzle grid; clicking the same entry again clears it.
+ * @param {string} entryId - The entry, e.g. 'bigrams:XQ'.
+ * @param {number[]} positions - The ciphertext positions to highlight.
+ */
+function highlightAnalysisEntry(entryId, positions) {
+    if (highlightedEntry === entryId) {
+        highlightedEntry = '';
+        highlightedPositions = [];
+    } else {
+        highlightedEntry = entryId;
+        highlightedPositions = positions;
+    }
+    applyAnalysisHighlight();
+}
+
+/**
+ * Marks the highlighted letters in the grid and the selected entry in the panel.
+ * Pages call this again after re-rendering their grid.
+ */
+function applyAnalysisHighlight() {
+    if (!analysisGrid) return;
+    const highlighted = new Set(highlightedPositions.map(String));
+    analysisGrid.querySelectorAll('[data-position]').forEach(element => {
+        element.classList.toggle('analysis-highlight', highlighted.has(element.dataset.position));
+    });
+    document.querySelectorAll('.analysis-entry').forEach(element => {
+        element.classList.toggle('selected', element.dataset.entry === highlightedEntry);
+    });
+}
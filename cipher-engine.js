@@ -0,0 +1,2621 @@
+// cipher-engine.js
+// Pure encrypt, decrypt and key-generation functions for every cipher on the site.
+// Nothing here touches the DOM: the pages load this file with a <script> tag and use
+// the global CipherEngine object, and Node can require() it directly.
+
+(function (root) {
+    const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    // --- Shared Helpers ---
+
+    /**
+     * Uppercases text and keeps only letters of the given alphabet.
+     * @param {string} text - The original text.
+     * @param {string} [alphabet=ALPHABET] - The letters to keep.
+     * @returns {string} The normalized text.
+     */
+    function normalizeText(text, alphabet = ALPHABET) {
+        return text.toUpperCase().split('').filter(char => alphabet.includes(char)).join('');
+    }
+
+    /**
+     * Shuffles an array in place (Fisher-Yates).
+     * @param {Array} items - The array to shuffle.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @returns {Array} The same array, shuffled.
+     */
+    function shuffle(items, random = Math.random) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    /**
+     * Creates a seeded random number generator (mulberry32), so the same seed
+     * always produces the same puzzle.
+     * @param {string|number} seed - Any string or number.
+     * @returns {Function} A function returning numbers in [0, 1), like Math.random.
+     */
+    function createRandom(seed) {
+        // Hash the seed string into a 32-bit starting state (FNV-1a)
+        let state = 2166136261;
+        for (const char of String(seed)) {
+            state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+        }
+
+        return function random() {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Picks a random element from an array.
+     * @param {Array} items - The array to pick from.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @returns {*} The chosen element.
+     */
+    function pickRandom(items, random = Math.random) {
+        return items[Math.floor(random() * items.length)];
+    }
+
+    /**
+     * Reduces a number modulo m, always giving a result from 0 to m - 1 (unlike %).
+     * @param {number} n - The number.
+     * @param {number} [m=26] - The modulus.
+     * @returns {number} n mod m.
+     */
+    function mod(n, m = 26) {
+        return ((n % m) + m) % m;
+    }
+
+    /**
+     * Finds the modular inverse of a number: the x with a × x ≡ 1 (mod m).
+     * @param {number} a - The number.
+     * @param {number} [m=26] - The modulus.
+     * @returns {number|null} The inverse, or null if a shares a factor with m.
+     */
+    function modInverse(a, m = 26) {
+        const value = mod(a, m);
+        for (let x = 1; x < m; x++) {
+            if ((value * x) % m === 1) return x;
+        }
+        return null;
+    }
+
+    // --- Monoalphabetic Substitution (Aristocrat, Patristocrat, Xenocrypt) ---
+
+    /**
+     * Shuffles the alphabet into a substitution key that is a derangement
+     * (no letter maps to itself).
+     * @param {string} [alphabet=ALPHABET] - The alphabet to shuffle.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @returns {Object} A substitution map { CipherLetter: PlainLetter }.
+     */
+    function generateRandomKey(alphabet = ALPHABET, random = Math.random) {
+        const cipherSource = alphabet.split('');
+        const plainTarget = shuffle([...cipherSource], random);
+
+        // Break any fixed points by swapping with the next letter, then re-check
+        let hasFixedPoints = true;
+        while (hasFixedPoints) {
+            hasFixedPoints = false;
+            for (let i = 0; i < alphabet.length; i++) {
+                if (cipherSource[i] === plainTarget[i]) {
+                    hasFixedPoints = true;
+                    const j = (i + 1) % alphabet.length;
+                    [plainTarget[i], plainTarget[j]] = [plainTarget[j], plainTarget[i]];
+                    break;
+                }
+            }
+        }
+
+        const keyMap = {};
+        for (let i = 0; i < alphabet.length; i++) {
+            keyMap[cipherSource[i]] = plainTarget[i];
+        }
+        return keyMap;
+    }
+
+    /**
+     * Builds a keyed alphabet: the keyword's letters (duplicates removed)
+     * followed by the remaining letters of the alphabet in order.
+     * @param {string} keyword - The keyword.
+     * @param {string} [alphabet=ALPHABET] - The base alphabet.
+     * @returns {string} The keyed alphabet.
+     */
+    function buildKeyedAlphabet(keyword, alphabet = ALPHABET) {
+        const keyLetters = [...new Set(normalizeText(keyword, alphabet))];
+        const remaining = alphabet.split('').filter(char => !keyLetters.includes(char));
+        return keyLetters.join('') + remaining.join('');
+    }
+
+    /**
+     * Rotates an alphabet to the left, e.g. shift 2 turns ABC...Z into CDE...AB.
+     * @param {string} alphabet - The alphabet to rotate.
+     * @param {number} shift - Number of positions to rotate by.
+     * @returns {string} The rotated alphabet.
+     */
+    function shiftAlphabet(alphabet, shift) {
+        return alphabet.slice(shift) + alphabet.slice(0, shift);
+    }
+
+    /**
+     * Generates a K1, K2 or K3 keyed substitution key.
+     * K1: keyed plaintext alphabet over a shifted straight ciphertext alphabet.
+     * K2: straight plaintext alphabet over a shifted keyed ciphertext alphabet.
+     * K3: the same keyed alphabet on both rows, shifted against itself.
+     * The shift is picked at random among those that leave no letter mapped to itself.
+     * @param {string} keyType - 'K1', 'K2' or 'K3'.
+     * @param {string} keyword - The keyword used to build the keyed alphabet.
+     * @param {string} [alphabet=ALPHABET] - The base alphabet.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @returns {Object|null} A substitution map { CipherLetter: PlainLetter }, or null if no shift works.
+     */
+    function generateKeyedKey(keyType, keyword, alphabet = ALPHABET, random = Math.random) {
+        const keyedAlphabet = buildKeyedAlphabet(keyword, alphabet);
+        const plainAlphabet = keyType === 'K2' ? alphabet : keyedAlphabet;
+        const cipherBase = keyType === 'K1' ? alphabet : keyedAlphabet;
+
+        // Try every non-zero shift in random order
+        const shifts = shuffle([...Array(alphabet.length).keys()].slice(1), random);
+
+        for (const shift of shifts) {
+            const cipherAlphabet = shiftAlphabet(cipherBase, shift);
+            const hasFixedPoint = plainAlphabet.split('').some((plain, i) => cipherAlphabet[i] === plain);
+
+            if (!hasFixedPoint) {
+                const keyMap = {};
+                for (let i = 0; i < alphabet.length; i++) {
+                    keyMap[cipherAlphabet[i]] = plainAlphabet[i];
+                }
+                return keyMap;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Inverts a substitution key, e.g. { CipherLetter: PlainLetter } into { PlainLetter: CipherLetter }.
+     * @param {Object} key - The map to invert.
+     * @returns {Object} The inverted map.
+     */
+    function invertKey(key) {
+        const inverse = {};
+        for (const [from, to] of Object.entries(key)) {
+            inverse[to] = from;
+        }
+        return inverse;
+    }
+
+    /**
+     * Encrypts text with a substitution key. Spaces and punctuation are kept as they are.
+     * @param {string} text - The plaintext.
+     * @param {Object} key - The substitution map { CipherLetter: PlainLetter }.
+     * @param {string} [alphabet=ALPHABET] - The alphabet the key covers.
+     * @returns {string} The uppercase ciphertext.
+     */
+    function encryptSubstitution(text, key, alphabet = ALPHABET) {
+        const inverseKey = invertKey(key);
+        return text.toUpperCase().split('').map(char => {
+            return alphabet.includes(char) ? (inverseKey[char] || char) : char;
+        }).join('');
+    }
+
+    /**
+     * Decrypts substitution ciphertext. Spaces and punctuation are kept as they are.
+     * @param {string} text - The ciphertext.
+     * @param {Object} key - The substitution map { CipherLetter: PlainLetter }.
+     * @param {string} [alphabet=ALPHABET] - The alphabet the key covers.
+     * @returns {string} The uppercase plaintext.
+     */
+    function decryptSubstitution(text, key, alphabet = ALPHABET) {
+        return text.toUpperCase().split('').map(char => {
+            return alphabet.includes(char) ? (key[char] || char) : char;
+        }).join('');
+    }
+
+    /**
+     * Formats ciphertext into 5-letter groups, the Patristocrat's defining feature.
+     * @param {string} text - The ciphertext with no spaces.
+     * @returns {string} The ciphertext with a space every 5 characters.
+     */
+    function formatPatristocrat(text) {
+        return (text.match(/.{1,5}/g) || []).join(' ');
+    }
+
+    /**
+     * Describes a word's letter pattern: each new letter takes the next pattern
+     * letter, so THAT and ERGE both become ABCA.
+     * @param {string} word - The word (letters only).
+     * @returns {string} The pattern.
+     */
+    function getWordPattern(word) {
+        const seen = {};
+        return word.split('').map(char => {
+            if (!(char in seen)) {
+                seen[char] = ALPHABET[Object.keys(seen).length];
+            }
+            return seen[char];
+        }).join('');
+    }
+
+    /**
+     * Groups a word list by letter pattern, for looking up words that could fit a cipher word.
+     * @param {string[]} words - Uppercase words.
+     * @returns {Object} Map of pattern to the words with it, e.g. { 'ABCA': ['THAT', ...] }.
+     */
+    function buildPatternIndex(words) {
+        const index = {};
+        for (const word of words) {
+            const pattern = getWordPattern(word);
+            (index[pattern] = index[pattern] || []).push(word);
+        }
+        return index;
+    }
+
+    /**
+     * Finds the words that could be the plaintext of a cipher word. A word fits when
+     * it has the same letter pattern, agrees with every guess already made for the
+     * word's cipher letters, and doesn't reuse a plaintext letter that another cipher
+     * letter has been given.
+     * @param {string} cipherWord - The cipher word (letters only).
+     * @param {Object} index - Pattern index from buildPatternIndex.
+     * @param {Object} [guesses={}] - Current guesses { CipherLetter: PlainLetter }.
+     * @returns {string[]} The matching words.
+     */
+    function findPatternMatches(cipherWord, index, guesses = {}) {
+        const takenBy = invertKey(guesses);
+        return (index[getWordPattern(cipherWord)] || []).filter(word => {
+            return word.split('').every((plainChar, i) => {
+                const cipherChar = cipherWord[i];
+                if (guesses[cipherChar]) {
+                    return guesses[cipherChar] === plainChar;
+                }
+                return !takenBy[plainChar];
+            });
+        });
+    }
+
+    /**
+     * Tallies the letter groups a solver looks at in frequency analysis: bigrams,
+     * trigrams, doubled letters and, when the text keeps its word divisions, the
+     * letters that start and end words. With word divisions, groups never run across
+     * a word break (an apostrophe, as in DON'T, doesn't count as one); without them,
+     * spaces and punctuation are skipped over.
+     * @param {string} text - The ciphertext.
+     * @param {string} [alphabet=ALPHABET] - The cipher's alphabet.
+     * @param {boolean} [wordBreaks=true] - Whether the text keeps its word divisions.
+     * @returns {Object} { bigrams, trigrams, doubles, initials, finals }, each an array of
+     *     { text, count, positions } with the most common first. positions lists the index
+     *     in the text of every letter of every occurrence, for highlighting.
+     */
+    function analyzeCiphertext(text, alphabet = ALPHABET, wordBreaks = true) {
+        const upper = text.toUpperCase();
+        const positions = [];
+        for (let i = 0; i < upper.length; i++) {
+            if (alphabet.includes(upper[i])) positions.push(i);
+        }
+        // Runs of letter positions that n-grams may not cross
+        const isWordBreak = (from, to) => !/^'*$/.test(upper.slice(from + 1, to));
+        const runs = [];
+        positions.forEach((position, i) => {
+            if (i === 0 || (wordBreaks && isWordBreak(positions[i - 1], position))) {
+                runs.push([]);
+            }
+            runs[runs.length - 1].push(position);
+        });
+
+        const tally = {};
+        const add = (group, span) => {
+            const entries = tally[group] = tally[group] || {};
+            const key = span.map(position => upper[position]).join('');
+            (entries[key] = entries[key] || []).push(...span);
+        };
+        for (const run of runs) {
+            for (let i = 0; i < run.length; i++) {
+                if (i + 2 <= run.length) {
+                    add('bigrams', run.slice(i, i + 2));
+                    if (upper[run[i]] === upper[run[i + 1]]) add('doubles', run.slice(i, i + 2));
+                }
+                if (i + 3 <= run.length) add('trigrams', run.slice(i, i + 3));
+            }
+            if (wordBreaks) {
+                add('initials', [run[0]]);
+                add('finals', [run[run.length - 1]]);
+            }
+        }
+
+        const sorted = group => Object.entries(tally[group] || {})
+            .map(([key, spots]) => ({ text: key, count: spots.length / key.length, positions: spots }))
+            .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text));
+        return {
+            bigrams: sorted('bigrams'),
+            trigrams: sorted('trigrams'),
+            doubles: sorted('doubles'),
+            initials: sorted('initials'),
+            finals: sorted('finals')
+        };
+    }
+
+    /**
+     * Turns n-gram counts into a scorer for judging how language-like a decryption is.
+     * Each n-gram gets its log probability; ones missing from the table get a floor
+     * below the rarest n-gram seen. A table counted with word breaks marks them with a
+     * space (e.g. ' THE'), and its scorer then scores text with its word breaks kept.
+     * @param {Object} counts - Map of n-gram to count, e.g. { 'TION': 5120, ... }.
+     * @param {string} [alphabet=ALPHABET] - The alphabet the n-grams are written in.
+     * @returns {Object} { n, alphabet, symbols, wordBreaks, table, floor, letterCounts },
+     *     where table holds the log probability of every possible n-gram, indexed by
+     *     the positions of its symbols.
+     */
+    function buildNgramScorer(counts, alphabet = ALPHABET) {
+        const ngrams = Object.keys(counts);
+        const n = ngrams[0].length;
+        const wordBreaks = ngrams.some(ngram => ngram.includes(' '));
+        const symbols = wordBreaks ? alphabet + ' ' : alphabet;
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        const floor = Math.log10(0.01 / total);
+        const table = new Float64Array(Math.pow(symbols.length, n)).fill(floor);
+        const letterCounts = {};
+
+        for (const [ngram, count] of Object.entries(counts)) {
+            let index = 0;
+            for (const char of ngram) {
+                index = index * symbols.length + symbols.indexOf(char);
+            }
+            table[index] = Math.log10(count / total);
+            letterCounts[ngram[0]] = (letterCounts[ngram[0]] || 0) + count;
+        }
+        return { n, alphabet, symbols, wordBreaks, table, floor, letterCounts };
+    }
+
+    /**
+     * Turns text into the symbol positions a scorer reads: its letters, with one space
+     * for each word break if the scorer keeps them. Apostrophes are dropped, so DON'T
+     * reads as DONT.
+     * @param {string} text - The text.
+     * @param {Object} scorer - A scorer from buildNgramScorer.
+     * @returns {number[]} Positions in scorer.symbols.
+     */
+    function toScoringSymbols(text, scorer) {
+        const spaced = text.toUpperCase().split('')
+            .filter(char => char !== "'")
+            .map(char => scorer.alphabet.includes(char) ? char : ' ')
+            .join('');
+        const stream = scorer.wordBreaks ? ` ${spaced.replace(/ +/g, ' ').trim()} ` : spaced.replace(/ /g, '');
+        return stream.split('').map(char => scorer.symbols.indexOf(char));
+    }
+
+    /**
+     * Sums the log probabilities of the n-grams in a run of symbol positions.
+     * @param {number[]} symbols - Positions in scorer.symbols.
+     * @param {Object} scorer - A scorer from buildNgramScorer.
+     * @returns {number} The score; higher is more language-like.
+     */
+    function scoreSymbols(symbols, scorer) {
+        const size = scorer.symbols.length;
+        let score = 0;
+        for (let i = 0; i + scorer.n <= symbols.length; i++) {
+            let index = 0;
+            for (let j = 0; j < scorer.n; j++) {
+                index = index * size + symbols[i + j];
+            }
+            score += scorer.table[index];
+        }
+        return score;
+    }
+
+    /**
+     * Scores how language-like text is. Higher is better.
+     * @param {string} text - The text.
+     * @param {Object} scorer - A scorer from buildNgramScorer.
+     * @returns {number} The sum of the log probabilities of the text's n-grams.
+     */
+    function scoreNgrams(text, scorer) {
+        return scoreSymbols(toScoringSymbols(text, scorer), scorer);
+    }
+
+    /**
+     * Recovers a likely substitution key for any monoalphabetic ciphertext by hill
+     * climbing: starting from a key, swap pairs of plaintext letters and keep any swap
+     * that makes the decryption score better, until no swap helps. Short texts often
+     * stall on a wrong answer, so the climb is restarted from shuffled keys and the
+     * best result kept. Use a scorer with word breaks for Aristocrats and Xenocrypts
+     * and one without for Patristocrats.
+     * @param {string} ciphertext - The ciphertext.
+     * @param {Object} scorer - A scorer from buildNgramScorer, in the plaintext's language.
+     * @param {Object} [options] - { fixed: guesses { CipherLetter: PlainLetter } to keep
+     *     as they are, restarts: number of climbs (default 30), random: function }
+     * @returns {Object} { key, plaintext, score }, where key maps each cipher letter in
+     *     the text to its plaintext letter, like correctKey.
+     */
+    function solveSubstitution(ciphertext, scorer, options = {}) {
+        const { fixed = {}, restarts = 30, random = Math.random } = options;
+        const { alphabet, symbols } = scorer;
+        const cipherSymbols = toScoringSymbols(ciphertext, scorer);
+        const counts = new Array(symbols.length).fill(0);
+        cipherSymbols.forEach(symbol => counts[symbol]++);
+
+        // Word breaks and guesses being kept stay put; every other letter is free to swap
+        const baseKey = new Array(symbols.length).fill(-1);
+        if (scorer.wordBreaks) {
+            baseKey[symbols.length - 1] = symbols.length - 1;
+        }
+        for (const [cipherChar, plainChar] of Object.entries(fixed)) {
+            if (alphabet.includes(cipherChar) && alphabet.includes(plainChar)) {
+                baseKey[alphabet.indexOf(cipherChar)] = alphabet.indexOf(plainChar);
+            }
+        }
+        const freeCipher = [];
+        for (let i = 0; i < symbols.length; i++) {
+            if (baseKey[i] === -1) freeCipher.push(i);
+        }
+        // Free plaintext letters, most common first, to pair with the most common cipher letters
+        const freePlain = [];
+        for (let i = 0; i < symbols.length; i++) {
+            if (!baseKey.includes(i)) freePlain.push(i);
+        }
+        freePlain.sort((a, b) => (scorer.letterCounts[symbols[b]] || 0) - (scorer.letterCounts[symbols[a]] || 0));
+        const byFrequency = [...freeCipher].sort((a, b) => counts[b] - counts[a]);
+
+        const decrypt = key => cipherSymbols.map(symbol => key[symbol]);
+        let best = null;
+
+        for (let attempt = 0; attempt < restarts; attempt++) {
+            // The first climb starts from matching letter frequencies, the rest from shuffles
+            const key = [...baseKey];
+            const order = attempt === 0 ? freePlain : shuffle([...freePlain], random);
+            byFrequency.forEach((cipher, i) => key[cipher] = order[i]);
+
+            let score = scoreSymbols(decrypt(key), scorer);
+            let improved = true;
+            while (improved) {
+                improved = false;
+                for (let i = 0; i < freeCipher.length; i++) {
+                    for (let j = i + 1; j < freeCipher.length; j++) {
+                        const a = freeCipher[i];
+                        const b = freeCipher[j];
+                        // Swapping two letters that don't appear in the text changes nothing
+                        if (counts[a] === 0 && counts[b] === 0) continue;
+                        [key[a], key[b]] = [key[b], key[a]];
+                        const newScore = scoreSymbols(decrypt(key), scorer);
+                        if (newScore > score) {
+                            score = newScore;
+                            improved = true;
+                        } else {
+                            [key[a], key[b]] = [key[b], key[a]];
+                        }
+                    }
+                }
+            }
+
+            if (!best || score > best.score) {
+                best = { key, score };
+            }
+        }
+
+        const key = {};
+        for (let i = 0; i < alphabet.length; i++) {
+            if (counts[i] > 0) {
+                key[alphabet[i]] = alphabet[best.key[i]];
+            }
+        }
+        return { key, plaintext: decryptSubstitution(ciphertext, key, alphabet), score: best.score };
+    }
+
+    // --- Language Packs ---
+
+    // Accented letters and the plain letters they are read as
+    const ACCENT_FOLDS = {
+        'Á': 'A', 'À': 'A', 'Â': 'A', 'Ä': 'A', 'Ã': 'A',
+        'É': 'E', 'È': 'E', 'Ê': 'E', 'Ë': 'E',
+        'Í': 'I', 'Ì': 'I', 'Î': 'I', 'Ï': 'I',
+        'Ó': 'O', 'Ò': 'O', 'Ô': 'O', 'Ö': 'O', 'Õ': 'O',
+        'Ú': 'U', 'Ù': 'U', 'Û': 'U', 'Ü': 'U',
+        'Ç': 'C', 'Ñ': 'N'
+    };
+
+    /**
+     * What the substitution puzzles need to know about a language: its alphabet,
+     * how accented letters fold into it, where its word list and n-gram tables live,
+     * the usual letter frequencies (percent of letters) and keywords for K1/K2/K3
+     * alphabets. The n-gram file holds two tables of counts for buildNgramScorer: 'words'
+     * counted with word breaks and 'letters' counted without. Quotes in each language
+     * come from the quote bank (see quotes.js).
+     */
+    const LANGUAGE_PACKS = {
+        english: {
+            name: 'English',
+            alphabet: ALPHABET,
+            accents: ACCENT_FOLDS,
+            wordFile: 'english_words.json',
+            ngramFile: 'english_ngrams.json',
+            frequencies: {
+                'A': 8.2, 'B': 1.5, 'C': 2.8, 'D': 4.3, 'E': 12.7, 'F': 2.2, 'G': 2.0,
+                'H': 6.1, 'I': 7.0, 'J': 0.2, 'K': 0.8, 'L': 4.0, 'M': 2.4, 'N': 6.7,
+                'O': 7.5, 'P': 1.9, 'Q': 0.1, 'R': 6.0, 'S': 6.3, 'T': 9.1, 'U': 2.8,
+                'V': 1.0, 'W': 2.4, 'X': 0.2, 'Y': 2.0, 'Z': 0.1
+            },
+            keywords: [
+                'CIPHER', 'SECRET', 'PUZZLE', 'KEYWORD', 'ALPHABET', 'CRYPTOGRAM', 'MYSTERY',
+                'JUMBLE', 'BLACKSMITH', 'ZEPHYR', 'QUICKLY', 'DOLPHIN', 'FRACTION', 'WORKBENCH'
+            ]
+        },
+        spanish: {
+            name: 'Spanish',
+            alphabet: 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ',
+            accents: Object.fromEntries(Object.entries(ACCENT_FOLDS).filter(([accented]) => accented !== 'Ñ')),
+            wordFile: 'spanish_words.json',
+            ngramFile: 'spanish_ngrams.json',
+            frequencies: {
+                'A': 12.5, 'B': 1.4, 'C': 4.7, 'D': 5.9, 'E': 13.7, 'F': 0.7, 'G': 1.0,
+                'H': 0.7, 'I': 6.3, 'J': 0.4, 'K': 0.0, 'L': 5.0, 'M': 3.2, 'N': 6.7,
+                'Ñ': 0.3, 'O': 8.7, 'P': 2.5, 'Q': 0.9, 'R': 6.9, 'S': 8.0, 'T': 4.6,
+                'U': 3.9, 'V': 0.9, 'W': 0.0, 'X': 0.2, 'Y': 0.9, 'Z': 0.5
+            },
+            keywords: [
+                'SECRETO', 'CIFRADO', 'MISTERIO', 'ENIGMA', 'CLAVE', 'MURCIELAGO', 'MONTAÑA',
+                'BIBLIOTECA', 'PEQUEÑO', 'RELAMPAGO', 'ZAPATO', 'JUGADOR', 'CAMPEONATO'
+            ]
+        }
+    };
+
+    /**
+     * Looks up a language pack, falling back to English.
+     * @param {string} [language] - A key of LANGUAGE_PACKS, e.g. 'spanish'.
+     * @returns {Object} The language pack.
+     */
+    function getLanguagePack(language) {
+        return LANGUAGE_PACKS[language] || LANGUAGE_PACKS.english;
+    }
+
+    /**
+     * Uppercases text and folds accented letters into the pack's alphabet
+     * (e.g. Á becomes A, while Spanish keeps Ñ as a letter of its own).
+     * @param {string} text - The text.
+     * @param {Object} pack - The language pack.
+     * @returns {string} The folded text; other characters are kept.
+     */
+    function foldAccents(text, pack) {
+        return text.toUpperCase().split('').map(char => pack.accents[char] || char).join('');
+    }
+
+    // --- Substitution Difficulty ---
+
+    // How much each factor counts towards a puzzle's difficulty score
+    const DIFFICULTY_WEIGHTS = { length: 0.3, distinct: 0.2, patterns: 0.25, frequency: 0.25 };
+    // Scores below these are easy and medium; the rest are hard
+    const DIFFICULTY_LEVELS = [{ level: 'easy', below: 45 }, { level: 'medium', below: 58 }];
+    // A word narrowed down to this many words by its letter pattern gives the solver a foothold
+    const MAX_FOOTHOLD_MATCHES = 5;
+
+    /**
+     * Rates how hard a substitution puzzle (Aristocrat, Patristocrat or Xenocrypt) on a
+     * plaintext is to solve. Each factor runs from 0 (easy) to 1 (hard):
+     *  - length: short texts give frequency analysis little to work with
+     *  - distinct: the more distinct letters, the more of the key must be found
+     *  - patterns: how few words are footholds, i.e. words of three letters or fewer
+     *    or words whose letter pattern fits only a handful of words (THAT, PEOPLE).
+     *    Without word divisions there are no footholds at all.
+     *  - frequency: how far the letter frequencies are from the language's usual ones
+     * @param {string} plaintext - The plaintext.
+     * @param {Object} pack - The plaintext's language pack.
+     * @param {Object} [options] - { patternIndex: from buildPatternIndex (without it only
+     *     short words count as footholds), wordBreaks: whether the puzzle keeps its word
+     *     divisions (default true) }
+     * @returns {Object} { score: 0-100, level: 'easy', 'medium' or 'hard', factors }
+     */
+    function rateSubstitutionDifficulty(plaintext, pack, options = {}) {
+        const { patternIndex = {}, wordBreaks = true } = options;
+        const text = foldAccents(plaintext, pack);
+        const letters = normalizeText(text, pack.alphabet);
+        const clamp = value => Math.min(1, Math.max(0, value));
+
+        // Total variation distance between the text's letter shares and the language's
+        const counts = {};
+        letters.split('').forEach(char => counts[char] = (counts[char] || 0) + 1);
+        const distance = pack.alphabet.split('').reduce((sum, char) =>
+            sum + Math.abs((counts[char] || 0) / Math.max(letters.length, 1) - (pack.frequencies[char] || 0) / 100), 0) / 2;
+
+        let patterns = 1;
+        const words = text.split(/\s+/).map(word => normalizeText(word, pack.alphabet)).filter(word => word);
+        if (wordBreaks && words.length > 0) {
+            const footholds = words.filter(word => {
+                const matches = (patternIndex[getWordPattern(word)] || []).length;
+                return word.length <= 3 || (matches > 0 && matches <= MAX_FOOTHOLD_MATCHES);
+            });
+            patterns = clamp(1.25 - 1.5 * footholds.length / words.length);
+        }
+
+        const factors = {
+            length: clamp((110 - letters.length) / 80),
+            distinct: clamp((Object.keys(counts).length - 14) / (pack.alphabet.length - 14)),
+            patterns,
+            frequency: clamp((distance - 0.15) / 0.3)
+        };
+        const score = Math.round(100 * Object.keys(DIFFICULTY_WEIGHTS)
+            .reduce((sum, factor) => sum + DIFFICULTY_WEIGHTS[factor] * factors[factor], 0));
+        const level = (DIFFICULTY_LEVELS.find(entry => score < entry.below) || { level: 'hard' }).level;
+        return { score, level, factors };
+    }
+
+    // --- Baconian ---
+
+    // Standard 24-letter Baconian Mapping (Plain -> Code); I/J and U/V share codes
+    const BACONIAN_ENCODE = {
+        'A': 'AAAAA', 'B': 'AAAAB', 'C': 'AAABA', 'D': 'AAABB', 'E': 'AABAA',
+        'F': 'AABAB', 'G': 'AABBA', 'H': 'AABBB', 'I': 'ABAAA', 'J': 'ABAAA',
+        'K': 'ABAAB', 'L': 'ABABA', 'M': 'ABABB', 'N': 'ABBAA', 'O': 'ABBAB',
+        'P': 'ABBBA', 'Q': 'ABBBB', 'R': 'BAAAA', 'S': 'BAAAB', 'T': 'BAABA',
+        'U': 'BAABB', 'V': 'BAABB',
+        'W': 'BABAA', 'X': 'BABAB', 'Y': 'BABBA', 'Z': 'BABBB'
+    };
+
+    // Standard 24-letter Baconian Mapping (Code -> Plain); decodes to I and U
+    const BACONIAN_DECODE = {};
+    for (const [plain, code] of Object.entries(BACONIAN_ENCODE)) {
+        if (plain !== 'J' && plain !== 'V') {
+            BACONIAN_DECODE[code] = plain;
+        }
+    }
+
+    /**
+     * Encodes plaintext into Baconian A/B groups. Non-letters are skipped.
+     * @param {string} text - The plaintext.
+     * @returns {string[]} An array of 5-character Baconian codes.
+     */
+    function encodeBaconian(text) {
+        return normalizeText(text).split('').map(char => BACONIAN_ENCODE[char]);
+    }
+
+    /**
+     * Decodes Baconian A/B groups. Unknown groups decode to '?'.
+     * @param {string[]} codes - The 5-character codes.
+     * @returns {string} The plaintext (I and U stand in for J and V).
+     */
+    function decodeBaconian(codes) {
+        return codes.map(code => BACONIAN_DECODE[code] || '?').join('');
+    }
+
+    // Ways of hiding the A/B groups: plain A/B letters, two sets of symbols, the
+    // case of the letters in a cover text, or letters from either half of the alphabet
+    const BACONIAN_VARIANTS = ['letters', 'punctuation', 'glyphs', 'case', 'halves'];
+
+    // Symbols standing for A and for B in the symbol variants
+    const BACONIAN_SYMBOL_SETS = {
+        punctuation: { A: ['.', ',', ';', ':'], B: ['!', '?', '-', '/'] },
+        glyphs: { A: ['★', '♠', '♣', '♥'], B: ['☆', '♤', '♧', '♡'] }
+    };
+
+    /**
+     * Disguises Baconian A/B groups the way tests hide them.
+     * @param {string[]} codes - The 5-character codes (see encodeBaconian).
+     * @param {string} variant - One of BACONIAN_VARIANTS.
+     * @param {Function} [random=Math.random] - Source of random numbers.
+     * @param {string} [coverText] - For the 'case' variant, words whose letters carry the
+     *                               groups (lowercase for A, uppercase for B). They are
+     *                               repeated as needed and cut off after the last group.
+     * @returns {Object} { groups, text }: the disguised characters for each code, and the
+     *                   ciphertext as shown (groups split by spaces, or the cover text).
+     */
+    function disguiseBaconian(codes, variant, random = Math.random, coverText = '') {
+        const bits = codes.join('').split('');
+        let characters;
+        if (variant === 'punctuation' || variant === 'glyphs') {
+            characters = bits.map(bit => pickRandom(BACONIAN_SYMBOL_SETS[variant][bit], random));
+        } else if (variant === 'halves') {
+            characters = bits.map(bit => pickRandom((bit === 'A' ? ALPHABET.slice(0, 13) : ALPHABET.slice(13)).split(''), random));
+        } else if (variant === 'case') {
+            const words = coverText.toLowerCase().split(/\s+/).filter(word => /[a-z]/.test(word));
+            if (words.length === 0) throw new Error('The case variant needs a cover text');
+            characters = [];
+            let text = '';
+            for (let i = 0; characters.length < bits.length; i++) {
+                let word = '';
+                for (const char of words[i % words.length]) {
+                    if (characters.length === bits.length) break;
+                    if (/[a-z]/.test(char)) {
+                        const cased = bits[characters.length] === 'B' ? char.toUpperCase() : char;
+                        characters.push(cased);
+                        word += cased;
+                    } else {
+                        word += char;
+                    }
+                }
+                text += (text ? ' ' : '') + word;
+            }
+            return { groups: splitIntoGroups(characters), text };
+        } else {
+            characters = bits;
+        }
+        const groups = splitIntoGroups(characters);
+        return { groups, text: groups.join(' ') };
+    }
+
+    /**
+     * Splits disguised characters back into groups of five.
+     * @param {string[]} characters - One character per A/B bit.
+     * @returns {string[]} The groups.
+     */
+    function splitIntoGroups(characters) {
+        const groups = [];
+        for (let i = 0; i < characters.length; i += 5) {
+            groups.push(characters.slice(i, i + 5).join(''));
+        }
+        return groups;
+    }
+
+    /**
+     * Checks whether two letters share a Baconian code, so I/J and U/V count as the same.
+     * @param {string} a - A letter.
+     * @param {string} b - Another letter.
+     * @returns {boolean} True if they are the same letter in the 24-letter alphabet.
+     */
+    function isSameBaconianLetter(a, b) {
+        return a === b || (BACONIAN_ENCODE[a] !== undefined && BACONIAN_ENCODE[a] === BACONIAN_ENCODE[b]);
+    }
+
+    // --- Porta ---
+
+    /**
+     * Builds the Porta tableau. Each pair of key letters (A/B, C/D, ... Y/Z) swaps
+     * the halves A-M and N-Z, sliding N-Z one place further for each pair, so
+     * every row maps a letter and its substitute onto each other.
+     * @returns {Object} { KeyLetter: substitution for plaintext A-Z }.
+     */
+    function buildPortaTable() {
+        const table = {};
+        for (let pair = 0; pair < 13; pair++) {
+            let row = '';
+            for (let i = 0; i < 26; i++) {
+                row += i < 13
+                    ? ALPHABET[13 + (i - pair + 13) % 13]
+                    : ALPHABET[(i - 13 + pair) % 13];
+            }
+            table[ALPHABET[pair * 2]] = row;
+            table[ALPHABET[pair * 2 + 1]] = row;
+        }
+        return table;
+    }
+
+    // The Porta Tableau definition (Key Letter -> Substitution Row)
+    const PORTA_TABLE = buildPortaTable();
+
+    /**
+     * Runs text through the Porta cipher. Porta is reciprocal, so the same
+     * call both encrypts and decrypts.
+     * @param {string} text - The plaintext or ciphertext.
+     * @param {string} key - The keyword.
+     * @returns {string} The result, or '' if the keyword has no letters.
+     */
+    function portaProcess(text, key) {
+        const normalizedText = normalizeText(text);
+        const normalizedKey = normalizeText(key);
+        if (!normalizedKey) return '';
+
+        let result = '';
+        for (let i = 0; i < normalizedText.length; i++) {
+            const char = normalizedText[i];
+            const subAlphabet = PORTA_TABLE[normalizedKey[i % normalizedKey.length]];
+            result += subAlphabet[ALPHABET.indexOf(char)];
+        }
+        return result;
+    }
+
+    /**
+     * Returns the pair of key letters that share a key letter's tableau row.
+     * @param {string} keyLetter - A key letter (A-Z).
+     * @returns {string} The pair, e.g. 'CD' for C or D.
+     */
+    function portaKeyPair(keyLetter) {
+        const index = ALPHABET.indexOf(keyLetter);
+        if (index === -1) return '';
+        const first = index - (index % 2);
+        return ALPHABET[first] + ALPHABET[first + 1];
+    }
+
+    /**
+     * Finds the key letter pair that turns a plaintext letter into a ciphertext letter.
+     * @param {string} plainChar - The plaintext letter.
+     * @param {string} cipherChar - The ciphertext letter.
+     * @returns {string|null} The key pair (e.g. 'CD'), or null if no row matches
+     *                        (Porta always maps A-M to N-Z and back).
+     */
+    function findPortaKeyPair(plainChar, cipherChar) {
+        const plainIndex = ALPHABET.indexOf(plainChar);
+        if (plainIndex === -1) return null;
+        for (let i = 0; i < 26; i += 2) {
+            if (PORTA_TABLE[ALPHABET[i]][plainIndex] === cipherChar) {
+                return ALPHABET[i] + ALPHABET[i + 1];
+            }
+        }
+        return null;
+    }
+
+    // --- Vigenère Family ---
+
+    // Periodic ciphers that shift each letter by its key letter (A = 0 ... Z = 25):
+    // Vigenère adds the key, Variant Beaufort subtracts it, Beaufort subtracts the
+    // plaintext from the key, Gronsfeld is Vigenère with a key of digits, and
+    // Autokey is Vigenère whose key continues with the plaintext itself.
+    const POLYALPHABETIC_TYPES = ['vigenere', 'variant', 'beaufort', 'gronsfeld', 'autokey'];
+
+    /**
+     * Turns a key into its shifts: digits for Gronsfeld, letters for the others.
+     * @param {string} key - The keyword (or digits for Gronsfeld).
+     * @param {string} type - One of POLYALPHABETIC_TYPES.
+     * @returns {number[]} The shift for each key character.
+     */
+    function getPolyalphabeticShifts(key, type) {
+        if (type === 'gronsfeld') {
+            return key.replace(/[^0-9]/g, '').split('').map(Number);
+        }
+        return normalizeText(key).split('').map(char => ALPHABET.indexOf(char));
+    }
+
+    /**
+     * Works out the shift used at each position of a message. The key repeats,
+     * except for Autokey, where the plaintext follows the key.
+     * @param {string} plain - The normalized plaintext.
+     * @param {string} key - The keyword (or digits for Gronsfeld).
+     * @param {string} type - One of POLYALPHABETIC_TYPES.
+     * @returns {number[]} One shift per plaintext letter (empty if the key is).
+     */
+    function getPolyalphabeticKeyStream(plain, key, type) {
+        const shifts = getPolyalphabeticShifts(key, type);
+        if (shifts.length === 0) return [];
+        return plain.split('').map((char, i) => {
+            if (type === 'autokey' && i >= shifts.length) {
+                return ALPHABET.indexOf(plain[i - shifts.length]);
+            }
+            return shifts[i % shifts.length];
+        });
+    }
+
+    /**
+     * Enciphers one letter.
+     * @param {number} plainIndex - The plaintext letter (0-25).
+     * @param {number} shift - The key letter (0-25).
+     * @param {string} type - One of POLYALPHABETIC_TYPES.
+     * @returns {number} The ciphertext letter (0-25).
+     */
+    function encryptPolyalphabeticLetter(plainIndex, shift, type) {
+        if (type === 'variant') return mod(plainIndex - shift);
+        if (type === 'beaufort') return mod(shift - plainIndex);
+        return mod(plainIndex + shift);
+    }
+
+    /**
+     * Deciphers one letter. Beaufort is reciprocal, so it deciphers the way it enciphers.
+     * @param {number} cipherIndex - The ciphertext letter (0-25).
+     * @param {number} shift - The key letter (0-25).
+     * @param {string} type - One of POLYALPHABETIC_TYPES.
+     * @returns {number} The plaintext letter (0-25).
+     */
+    function decryptPolyalphabeticLetter(cipherIndex, shift, type) {
+        if (type === 'variant') return mod(cipherIndex + shift);
+        if (type === 'beaufort') return mod(shift - cipherIndex);
+        return mod(cipherIndex - shift);
+    }
+
+    /**
+     * Finds the key letter that turns a known plaintext letter into its ciphertext letter.
+     * @param {number} plainIndex - The plaintext letter (0-25).
+     * @param {number} cipherIndex - The ciphertext letter (0-25).
+     * @param {string} type - One of POLYALPHABETIC_TYPES.
+     * @returns {number} The key letter (0-25); for Gronsfeld, a digit only if it is below 10.
+     */
+    function findPolyalphabeticShift(plainIndex, cipherIndex, type) {
+        if (type === 'variant') return mod(plainIndex - cipherIndex);
+        if (type === 'beaufort') return mod(plainIndex + cipherIndex);
+        return mod(cipherIndex - plainIndex);
+    }
+
+    /**
+     * Encrypts text with one of the Vigenère family ciphers.
+     * @param {string} text - The plaintext.
+     * @param {string} key - The keyword (or digits for Gronsfeld).
+     * @param {string} type - One of POLYALPHABETIC_TYPES.
+     * @returns {string} The ciphertext, or '' if the key is empty.
+     */
+    function encryptPolyalphabetic(text, key, type) {
+        const plain = normalizeText(text);
+        const keyStream = getPolyalphabeticKeyStream(plain, key, type);
+        if (keyStream.length === 0) return '';
+        return plain.split('').map((char, i) =>
+            ALPHABET[encryptPolyalphabeticLetter(ALPHABET.indexOf(char), keyStream[i], type)]).join('');
+    }
+
+    /**
+     * Decrypts text with one of the Vigenère family ciphers. Autokey recovers its
+     * key as it goes, from the plaintext already decrypted.
+     * @param {string} text - The ciphertext.
+     * @param {string} key - The keyword (or digits for Gronsfeld).
+     * @param {string} type - One of POLYALPHABETIC_TYPES.
+     * @returns {string} The plaintext, or '' if the key is empty.
+     */
+    function decryptPolyalphabetic(text, key, type) {
+        const cipher = normalizeText(text);
+        const shifts = getPolyalphabeticShifts(key, type);
+        if (shifts.length === 0) return '';
+
+        let plain = '';
+        for (let i = 0; i < cipher.length; i++) {
+            const shift = type === 'autokey' && i >= shifts.length
+                ? ALPHABET.indexOf(plain[i - shifts.length])
+                : shifts[i % shifts.length];
+            plain += ALPHABET[decryptPolyalphabeticLetter(ALPHABET.indexOf(cipher[i]), shift, type)];
+        }
+        return plain;
+    }
+
+    /**
+     * Builds the tableau for a Vigenère family cipher: one row per key letter (or
+     * digit for Gronsfeld), giving the ciphertext letter for each plaintext letter A-Z.
+     * @param {string} type - One of POLYALPHABETIC_TYPES.
+     * @returns {Object} { KeyCharacter: substitution for plaintext A-Z }
+     */
+    function buildPolyalphabeticTableau(type) {
+        const keyChars = type === 'gronsfeld' ? '0123456789' : ALPHABET;
+        const tableau = {};
+        keyChars.split('').forEach((keyChar, shift) => {
+            tableau[keyChar] = ALPHABET.split('')
+                .map((char, plainIndex) => ALPHABET[encryptPolyalphabeticLetter(plainIndex, shift, type)]).join('');
+        });
+        return tableau;
+    }
+
+    // --- Columnar Transposition ---
+
+    /**
+     * Works out the order columns are read in: alphabetical by keyword letter,
+     * with repeated letters taken left to right.
+     * @param {string} key - The keyword.
+     * @returns {number[]} Array of 0-based column indices in reading order.
+     */
+    function getColumnOrder(key) {
+        return key.split('')
+            .map((char, index) => ({ char, index }))
+            .sort((a, b) => a.char.localeCompare(b.char) || a.index - b.index)
+            .map(column => column.index);
+    }
+
+    /**
+     * Encrypts with Columnar Transposition: write the plaintext row by row
+     * (padding the last row with 'X'), then read the columns in keyword order.
+     * @param {string} plain - Normalized plaintext.
+     * @param {string} key - Keyword.
+     * @returns {string} Ciphertext.
+     */
+    function encryptColumnar(plain, key) {
+        const numColumns = key.length;
+        if (numColumns === 0) return plain;
+
+        const numRows = Math.ceil(plain.length / numColumns);
+        const paddedPlain = plain.padEnd(numRows * numColumns, 'X');
+
+        let cipher = '';
+        for (const column of getColumnOrder(key)) {
+            for (let r = 0; r < numRows; r++) {
+                cipher += paddedPlain[r * numColumns + column];
+            }
+        }
+        return cipher;
+    }
+
+    /**
+     * Decrypts Columnar Transposition ciphertext produced by encryptColumnar.
+     * The 'X' padding is left on the end of the result.
+     * @param {string} cipher - Ciphertext (length is a multiple of the key length).
+     * @param {string} key - Keyword.
+     * @returns {string} Plaintext, read row by row.
+     */
+    function decryptColumnar(cipher, key) {
+        const numColumns = key.length;
+        if (numColumns === 0) return cipher;
+
+        const numRows = Math.ceil(cipher.length / numColumns);
+        const grid = [];
+        getColumnOrder(key).forEach((column, readIndex) => {
+            for (let r = 0; r < numRows; r++) {
+                grid[r * numColumns + column] = cipher[readIndex * numRows + r] || '';
+            }
+        });
+        return grid.join('');
+    }
+
+    /**
+     * Splits Columnar Transposition ciphertext back into its columns, in the order
+     * they were read. encryptColumnar pads the last row with 'X', so every column
+     * is the same length.
+     * @param {string} cipher - Ciphertext.
+     * @param {number} numColumns - Number of columns in the grid.
+     * @returns {string[]} The columns' letters, top to bottom.
+     */
+    function splitColumns(cipher, numColumns) {
+        const numRows = Math.ceil(cipher.length / numColumns);
+        const columns = [];
+        for (let i = 0; i < numColumns; i++) {
+            columns.push(cipher.substring(i * numRows, (i + 1) * numRows));
+        }
+        return columns;
+    }
+
+    /**
+     * Reads a Columnar Transposition grid row by row after its columns have been rearranged.
+     * @param {string} cipher - Ciphertext.
+     * @param {number[]} arrangement - For each grid position, left to right, the index of
+     *                                 the ciphertext column placed there (see splitColumns).
+     * @returns {string} The letters read row by row (padding included).
+     */
+    function readColumnarGrid(cipher, arrangement) {
+        const columns = splitColumns(cipher, arrangement.length);
+        const numRows = columns.length ? columns[0].length : 0;
+        let text = '';
+        for (let r = 0; r < numRows; r++) {
+            for (const column of arrangement) {
+                text += columns[column][r] || '';
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Works out where each ciphertext column belongs in the solved grid.
+     * @param {string} key - The keyword.
+     * @returns {number[]} The arrangement for readColumnarGrid that decrypts the message.
+     */
+    function getSolvedArrangement(key) {
+        const arrangement = [];
+        getColumnOrder(key).forEach((column, readIndex) => {
+            arrangement[column] = readIndex;
+        });
+        return arrangement;
+    }
+
+    // --- Fractionated Morse ---
+
+    // Morse Code (Letter -> Code)
+    const MORSE_ENCODE = {
+        'A': '.-', 'B': '-...', 'C': '-.-.', 'D': '-..', 'E': '.', 'F': '..-.',
+        'G': '--.', 'H': '....', 'I': '..', 'J': '.---', 'K': '-.-', 'L': '.-..',
+        'M': '--', 'N': '-.', 'O': '---', 'P': '.--.', 'Q': '--.-', 'R': '.-.',
+        'S': '...', 'T': '-', 'U': '..-', 'V': '...-', 'W': '.--', 'X': '-..-',
+        'Y': '-.--', 'Z': '--..'
+    };
+
+    // Morse Code (Code -> Letter)
+    const MORSE_DECODE = invertKey(MORSE_ENCODE);
+
+    /**
+     * Converts plaintext to a Morse sequence with 'X' between letters and 'XX'
+     * between words. Characters other than letters and spaces are skipped.
+     * @param {string} plain - The plaintext.
+     * @returns {string} The Morse sequence.
+     */
+    function generateMorseSequence(plain) {
+        return plain.toUpperCase().split(/\s+/)
+            .map(word => word.split('').filter(char => MORSE_ENCODE[char]).map(char => MORSE_ENCODE[char]).join('X'))
+            .filter(word => word.length > 0)
+            .join('XX');
+    }
+
+    /**
+     * Pads a Morse sequence with trailing X's to make its length divisible by 3.
+     * Padding with dots would be ambiguous, since they could belong to the last
+     * letter (a final D, '-..', would read as T).
+     * @param {string} morse - The Morse sequence.
+     * @returns {string} The padded sequence.
+     */
+    function padMorseSequence(morse) {
+        while (morse.length % 3 !== 0) {
+            morse += 'X';
+        }
+        return morse;
+    }
+
+    /**
+     * Reads a Morse sequence back into letters, with 'XX' as a word break and
+     * trailing X's as padding. Any unknown symbol ('?') makes its letter unknown.
+     * @param {string} morse - The Morse sequence, possibly with '?' for unknown symbols.
+     * @returns {Object} { morseLetters, plaintext }: the Morse code of each letter, and the
+     *                   plaintext with spaces between words and '?' for unreadable letters.
+     */
+    function decodeMorseSequence(morse) {
+        const morseLetters = [];
+        const plaintext = morse.replace(/X+$/, '').split('XX')
+            .map(word => word.split('X').filter(code => code.length > 0).map(code => {
+                morseLetters.push(code);
+                return (!code.includes('?') && MORSE_DECODE[code]) || '?';
+            }).join(''))
+            .filter(word => word.length > 0)
+            .join(' ');
+        return { morseLetters, plaintext };
+    }
+
+    /**
+     * Counts the plaintext letters a decoded Morse sequence gets wrong. A letter is
+     * right when its Morse and the separators around it match, so one wrong symbol
+     * only costs the letters it touches.
+     * @param {string} expected - The correct Morse sequence.
+     * @param {string} actual - The decoded sequence, the same length, possibly with '?' for unknown symbols.
+     * @returns {number} The number of wrong letters.
+     */
+    function countMorseLetterErrors(expected, actual) {
+        let errors = 0;
+        let start = 0;
+        while (start < expected.length) {
+            let end = start;
+            while (end < expected.length && expected[end] !== 'X') end++;
+            const from = Math.max(start - 1, 0);
+            if (actual.slice(from, end + 1) !== expected.slice(from, end + 1)) errors++;
+            start = end;
+            while (start < expected.length && expected[start] === 'X') start++;
+        }
+        return errors;
+    }
+
+    /**
+     * Generates the 27 trigrams of '.', '-' and 'X', from '...' to 'XXX'.
+     * @returns {string[]} Array of 27 trigrams.
+     */
+    function generateTrigrams() {
+        const symbols = ['.', '-', 'X'];
+        const trigrams = [];
+        for (const s1 of symbols) {
+            for (const s2 of symbols) {
+                for (const s3 of symbols) {
+                    trigrams.push(s1 + s2 + s3);
+                }
+            }
+        }
+        return trigrams;
+    }
+
+    /**
+     * Builds the trigram -> letter table for a keyword: the keyed alphabet is
+     * written under the trigrams in order (the 27th trigram gets no letter).
+     * @param {string} key - The keyword.
+     * @returns {Object} { Trigram: CipherLetter }
+     */
+    function buildMorseTable(key) {
+        const keyedAlphabet = buildKeyedAlphabet(key);
+        const table = {};
+        generateTrigrams().forEach((trigram, i) => {
+            if (i < keyedAlphabet.length) {
+                table[trigram] = keyedAlphabet[i];
+            }
+        });
+        return table;
+    }
+
+    /**
+     * Encodes a Morse sequence into Fractionated Morse ciphertext.
+     * @param {string} morse - The Morse sequence (see generateMorseSequence).
+     * @param {string} key - The keyword.
+     * @returns {string} The ciphertext.
+     */
+    function encodeFractionatedMorse(morse, key) {
+        const paddedMorse = padMorseSequence(morse);
+        const table = buildMorseTable(key);
+
+        let cipher = '';
+        for (let i = 0; i < paddedMorse.length; i += 3) {
+            cipher += table[paddedMorse.substring(i, i + 3)] || '?';
+        }
+        return cipher;
+    }
+
+    /**
+     * Decodes Fractionated Morse ciphertext, keeping each intermediate step.
+     * @param {string} cipher - The ciphertext letters.
+     * @param {string} key - The keyword.
+     * @returns {Object|null} { trigrams, morseLetters, plaintext }, or null if a cipher letter is not in the table.
+     *                        The plaintext has spaces between words (see decodeMorseSequence).
+     */
+    function decodeFractionatedMorse(cipher, key) {
+        const inverseTable = invertKey(buildMorseTable(key));
+        const trigrams = [];
+        for (const char of cipher) {
+            if (!inverseTable[char]) return null;
+            trigrams.push(inverseTable[char]);
+        }
+
+        return { trigrams, ...decodeMorseSequence(trigrams.join('')) };
+    }
+
+    // --- Morbit and Pollux ---
+
+    // The nine Morse pairs a Morbit key assigns digits 1-9 to, in table order
+    const MORBIT_PAIRS = ['..', '.-', '.X', '-.', '--', '-X', 'X.', 'X-', 'XX'];
+    const MORBIT_DIGITS = '123456789';
+
+    // The symbols a Pollux key assigns digits 0-9 to
+    const POLLUX_SYMBOLS = ['.', '-', 'X'];
+    const POLLUX_DIGITS = '0123456789';
+
+    /**
+     * Generates a random Morbit key: each of the digits 1-9 stands for a different Morse pair.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @returns {Object} { Digit: Pair }
+     */
+    function generateMorbitKey(random = Math.random) {
+        const pairs = shuffle([...MORBIT_PAIRS], random);
+        const key = {};
+        MORBIT_DIGITS.split('').forEach((digit, i) => key[digit] = pairs[i]);
+        return key;
+    }
+
+    /**
+     * Encodes a Morse sequence with a Morbit key. An odd-length sequence is padded
+     * with a trailing X, which decodeMorseSequence reads as padding.
+     * @param {string} morse - The Morse sequence (see generateMorseSequence).
+     * @param {Object} key - { Digit: Pair }
+     * @returns {string} The ciphertext digits.
+     */
+    function encodeMorbit(morse, key) {
+        const paddedMorse = morse.length % 2 === 0 ? morse : morse + 'X';
+        const digitFor = invertKey(key);
+        let cipher = '';
+        for (let i = 0; i < paddedMorse.length; i += 2) {
+            cipher += digitFor[paddedMorse.substring(i, i + 2)] || '?';
+        }
+        return cipher;
+    }
+
+    /**
+     * Decodes Morbit digits back into a Morse sequence. The key may be partial.
+     * @param {string} digits - The ciphertext digits.
+     * @param {Object} key - { Digit: Pair }, possibly missing some digits.
+     * @returns {string} The Morse sequence, with '??' for digits not in the key.
+     */
+    function decodeMorbit(digits, key) {
+        return digits.split('').map(digit => key[digit] || '??').join('');
+    }
+
+    /**
+     * Generates a random Pollux key: each digit 0-9 stands for a dot, a dash or a
+     * separator, with every symbol getting at least three digits.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @returns {Object} { Digit: Symbol }
+     */
+    function generatePolluxKey(random = Math.random) {
+        const symbols = POLLUX_SYMBOLS.flatMap(symbol => [symbol, symbol, symbol]);
+        symbols.push(pickRandom(POLLUX_SYMBOLS, random));
+        shuffle(symbols, random);
+        const key = {};
+        POLLUX_DIGITS.split('').forEach((digit, i) => key[digit] = symbols[i]);
+        return key;
+    }
+
+    /**
+     * Encodes a Morse sequence with a Pollux key, writing each symbol as any one of
+     * the digits that stand for it.
+     * @param {string} morse - The Morse sequence (see generateMorseSequence).
+     * @param {Object} key - { Digit: Symbol }
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @returns {string} The ciphertext digits.
+     */
+    function encodePollux(morse, key, random = Math.random) {
+        const digitsFor = {};
+        for (const [digit, symbol] of Object.entries(key)) {
+            if (!digitsFor[symbol]) digitsFor[symbol] = [];
+            digitsFor[symbol].push(digit);
+        }
+        return morse.split('').map(symbol => digitsFor[symbol] ? pickRandom(digitsFor[symbol], random) : '?').join('');
+    }
+
+    /**
+     * Decodes Pollux digits back into a Morse sequence. The key may be partial.
+     * @param {string} digits - The ciphertext digits.
+     * @param {Object} key - { Digit: Symbol }, possibly missing some digits.
+     * @returns {string} The Morse sequence, with '?' for digits not in the key.
+     */
+    function decodePollux(digits, key) {
+        return digits.split('').map(digit => key[digit] || '?').join('');
+    }
+
+    // --- Nihilist Substitution ---
+
+    const ALPHABET_25 = 'ABCDEFGHIKLMNOPQRSTUVWXYZ'; // J is merged into I
+
+    /**
+     * Generates the 5x5 Polybius square sequence for a keyword.
+     * @param {string} key - The keyword.
+     * @returns {string} The 25-character Polybius sequence.
+     */
+    function generatePolybiusSequence(key) {
+        const keyClean = [...new Set(normalizeText(key).replace(/J/g, 'I'))].join('');
+        const remaining = ALPHABET_25.split('').filter(char => !keyClean.includes(char)).join('');
+        return keyClean + remaining;
+    }
+
+    /**
+     * Converts a letter to its two-digit row/column coordinate in the square.
+     * @param {string} char - The letter (J is treated as I).
+     * @param {string} sequence - The Polybius sequence.
+     * @returns {string} The 2-digit coordinate, or '' if the letter is not in the square.
+     */
+    function charToCoordinate(char, sequence) {
+        const index = sequence.indexOf(char === 'J' ? 'I' : char);
+        if (index === -1) return '';
+        return `${Math.floor(index / 5) + 1}${(index % 5) + 1}`;
+    }
+
+    /**
+     * Converts a two-digit coordinate to a letter in the square.
+     * @param {string} coord - The 2-digit coordinate string.
+     * @param {string} sequence - The Polybius sequence.
+     * @returns {string} The letter, '?' for an out-of-range coordinate, or '' for a malformed one.
+     */
+    function coordinateToChar(coord, sequence) {
+        if (coord.length !== 2) return '';
+        const row = parseInt(coord[0], 10) - 1;
+        const col = parseInt(coord[1], 10) - 1;
+        if (row < 0 || row > 4 || col < 0 || col > 4) return '?';
+        return sequence[row * 5 + col];
+    }
+
+    /**
+     * Encrypts with the Nihilist Substitution cipher: each letter's coordinate
+     * plus the next digit of the numeric key.
+     * @param {string} plain - The plaintext.
+     * @param {string} squareKey - The Polybius square keyword.
+     * @param {string} numKey - The numeric key (digits).
+     * @returns {number[]} The ciphertext numbers.
+     */
+    function encryptNihilist(plain, squareKey, numKey) {
+        const sequence = generatePolybiusSequence(squareKey);
+        const keyDigits = numKey.replace(/[^0-9]/g, '').split('').map(d => parseInt(d, 10));
+        return normalizeText(plain).split('').map((char, i) => {
+            return parseInt(charToCoordinate(char, sequence), 10) + keyDigits[i % keyDigits.length];
+        });
+    }
+
+    /**
+     * Subtracts the numeric key from Nihilist ciphertext numbers, giving square coordinates.
+     * @param {number[]} cipherNumbers - The ciphertext numbers.
+     * @param {string} numKey - The numeric key (digits).
+     * @returns {Array<string|null>} Two-digit coordinates ('11' to '55'), or null where a number
+     *                               minus its key digit does not land inside the square.
+     */
+    function removeNihilistKey(cipherNumbers, numKey) {
+        const keyDigits = numKey.replace(/[^0-9]/g, '').split('').map(d => parseInt(d, 10));
+        return cipherNumbers.map((number, i) => {
+            const coord = String(number - keyDigits[i % keyDigits.length]);
+            return /^[1-5][1-5]$/.test(coord) ? coord : null;
+        });
+    }
+
+    /**
+     * Decrypts Nihilist Substitution ciphertext numbers.
+     * @param {number[]} cipherNumbers - The ciphertext numbers.
+     * @param {string} squareKey - The Polybius square keyword.
+     * @param {string} numKey - The numeric key (digits).
+     * @returns {string} The plaintext ('?' marks numbers that land outside the square).
+     */
+    function decryptNihilist(cipherNumbers, squareKey, numKey) {
+        const sequence = generatePolybiusSequence(squareKey);
+        return removeNihilistKey(cipherNumbers, numKey)
+            .map(coord => coord ? coordinateToChar(coord, sequence) : '?')
+            .join('');
+    }
+
+    // --- Hill ---
+
+    const HILL_PADDING = 'Z'; // Fills out the last block of a plaintext that does not divide evenly
+
+    /**
+     * Turns a keyword into a Hill key matrix, filled row by row with A = 0 through Z = 25.
+     * @param {string} keyword - The keyword; it needs exactly size × size letters.
+     * @param {number} size - The matrix size (2 or 3).
+     * @returns {number[][]|null} The matrix, or null if the keyword has the wrong length.
+     */
+    function buildHillMatrix(keyword, size) {
+        const letters = normalizeText(keyword);
+        if (letters.length !== size * size) return null;
+        return Array.from({ length: size }, (_, row) =>
+            letters.slice(row * size, (row + 1) * size).split('').map(char => ALPHABET.indexOf(char)));
+    }
+
+    /**
+     * Copies a matrix without one of its rows and one of its columns.
+     * @param {number[][]} matrix - The matrix.
+     * @param {number} row - The row to cross out.
+     * @param {number} col - The column to cross out.
+     * @returns {number[][]} The smaller matrix.
+     */
+    function matrixMinor(matrix, row, col) {
+        return matrix.filter((_, r) => r !== row).map(cells => cells.filter((_, c) => c !== col));
+    }
+
+    /**
+     * Computes a square matrix's determinant by expanding along the top row.
+     * @param {number[][]} matrix - The matrix.
+     * @returns {number} The determinant (not reduced mod 26).
+     */
+    function matrixDeterminant(matrix) {
+        if (matrix.length === 1) return matrix[0][0];
+        return matrix[0].reduce((sum, value, col) =>
+            sum + (col % 2 === 0 ? 1 : -1) * value * matrixDeterminant(matrixMinor(matrix, 0, col)), 0);
+    }
+
+    /**
+     * Computes each entry's cofactor: the determinant left after crossing out its row
+     * and column, with the signs alternating + − + across and down.
+     * @param {number[][]} matrix - The matrix.
+     * @returns {number[][]} The cofactors (not reduced mod 26).
+     */
+    function matrixCofactors(matrix) {
+        return matrix.map((cells, row) => cells.map((_, col) =>
+            ((row + col) % 2 === 0 ? 1 : -1) * matrixDeterminant(matrixMinor(matrix, row, col))));
+    }
+
+    /**
+     * Swaps a matrix's rows and columns.
+     * @param {number[][]} matrix - The matrix.
+     * @returns {number[][]} The transposed matrix.
+     */
+    function transposeMatrix(matrix) {
+        return matrix[0].map((_, col) => matrix.map(cells => cells[col]));
+    }
+
+    /**
+     * Computes the Hill decryption matrix: the key matrix's inverse mod 26.
+     * @param {number[][]} matrix - The key matrix.
+     * @returns {number[][]|null} The decryption matrix, or null if the key cannot be inverted
+     *                            (its determinant shares a factor with 26).
+     */
+    function invertHillMatrix(matrix) {
+        const detInverse = modInverse(matrixDeterminant(matrix));
+        if (detInverse === null) return null;
+        return transposeMatrix(matrixCofactors(matrix)).map(cells => cells.map(value => mod(value * detInverse)));
+    }
+
+    /**
+     * Normalizes a plaintext and pads it to a whole number of blocks.
+     * @param {string} plain - The plaintext.
+     * @param {number} size - The block size (the matrix size).
+     * @returns {string} The letters to encrypt.
+     */
+    function padHillText(plain, size) {
+        const letters = normalizeText(plain);
+        return letters + HILL_PADDING.repeat(mod(-letters.length, size));
+    }
+
+    /**
+     * Multiplies each block of letters by a matrix. Letters left over after the last
+     * whole block are dropped.
+     * @param {string} text - The text.
+     * @param {number[][]} matrix - The key (to encrypt) or decryption matrix (to decrypt).
+     * @returns {string} The resulting letters.
+     */
+    function applyHillMatrix(text, matrix) {
+        const size = matrix.length;
+        const numbers = normalizeText(text).split('').map(char => ALPHABET.indexOf(char));
+        let result = '';
+        for (let start = 0; start + size <= numbers.length; start += size) {
+            const block = numbers.slice(start, start + size);
+            matrix.forEach(cells => {
+                result += ALPHABET[mod(cells.reduce((sum, value, i) => sum + value * block[i], 0))];
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Encrypts with the Hill cipher, padding the plaintext to whole blocks.
+     * @param {string} plain - The plaintext.
+     * @param {number[][]} matrix - The key matrix.
+     * @returns {string} The ciphertext.
+     */
+    function encryptHill(plain, matrix) {
+        return applyHillMatrix(padHillText(plain, matrix.length), matrix);
+    }
+
+    /**
+     * Decrypts Hill ciphertext with the key matrix.
+     * @param {string} cipher - The ciphertext.
+     * @param {number[][]} matrix - The key matrix (not the decryption matrix).
+     * @returns {string} The plaintext, padding included ('' if the key cannot be inverted).
+     */
+    function decryptHill(cipher, matrix) {
+        const inverse = invertHillMatrix(matrix);
+        return inverse ? applyHillMatrix(cipher, inverse) : '';
+    }
+
+    /**
+     * Works through finding the decryption matrix by hand: the determinant, its inverse
+     * mod 26, the adjugate, and the final multiplication.
+     * @param {number[][]} matrix - The key matrix.
+     * @returns {Object[]} The steps in order: { reason, matrix }, where matrix is the matrix
+     *                     the step produced, if any. The last step gives the decryption
+     *                     matrix, or explains why the key cannot be inverted.
+     */
+    function explainHillInverse(matrix) {
+        const steps = [{ reason: 'Write the key as numbers, A = 0 through Z = 25.', matrix }];
+        const det = matrixDeterminant(matrix);
+        const detMod = mod(det);
+        let working;
+        if (matrix.length === 2) {
+            const [[a, b], [c, d]] = matrix;
+            working = `${a} × ${d} − ${b} × ${c}`;
+        } else {
+            working = matrix[0].map((value, col) => {
+                const [[p, q], [r, s]] = matrixMinor(matrix, 0, col);
+                return `${['', '− ', '+ '][col]}${value} × (${p} × ${s} − ${q} × ${r})`;
+            }).join(' ');
+        }
+        steps.push({ reason: `Find the determinant: ${working} = ${det} ≡ ${detMod} (mod 26).` });
+
+        const detInverse = modInverse(det);
+        if (detInverse === null) {
+            steps.push({ reason: `${detMod} shares a factor with 26, so it has no inverse mod 26 and this key cannot be used to decrypt.` });
+            return steps;
+        }
+        const product = detMod * detInverse;
+        steps.push({ reason: `Find the determinant's inverse mod 26: ${detMod} × ${detInverse} = ${product} = ${(product - 1) / 26} × 26 + 1, so the inverse is ${detInverse}.` });
+
+        const cofactors = matrixCofactors(matrix);
+        const adjugate = transposeMatrix(cofactors);
+        if (matrix.length === 2) {
+            steps.push({ reason: 'Find the adjugate: swap the two diagonal entries and negate the other two.', matrix: adjugate });
+        } else {
+            steps.push({ reason: 'Find each cofactor: cross out the entry\'s row and column, take the determinant of the 2 × 2 that is left, and alternate the signs + − + across and down.', matrix: cofactors });
+            steps.push({ reason: 'Find the adjugate: transpose the cofactors, so each row becomes a column.', matrix: adjugate });
+        }
+        steps.push({ reason: 'Reduce each entry mod 26.', matrix: adjugate.map(cells => cells.map(value => mod(value))) });
+        steps.push({ reason: `Multiply each entry by ${detInverse} and reduce mod 26. This is the decryption matrix.`, matrix: invertHillMatrix(matrix) });
+        return steps;
+    }
+
+    /**
+     * Works through multiplying each block of text by a Hill matrix.
+     * @param {string} text - The text, a whole number of blocks (see padHillText).
+     * @param {number[][]} matrix - The key (to encrypt) or decryption matrix (to decrypt).
+     * @returns {Object[]} One entry per block: { letters, numbers, sums, result }, where sums
+     *                     are the worked rows, e.g. '3 × 19 + 5 × 7 = 92 ≡ 14 → O'.
+     */
+    function explainHillBlocks(text, matrix) {
+        const size = matrix.length;
+        const letters = normalizeText(text);
+        const blocks = [];
+        for (let start = 0; start + size <= letters.length; start += size) {
+            const block = letters.slice(start, start + size);
+            const numbers = block.split('').map(char => ALPHABET.indexOf(char));
+            let result = '';
+            const sums = matrix.map(cells => {
+                const total = cells.reduce((sum, value, i) => sum + value * numbers[i], 0);
+                const letter = ALPHABET[mod(total)];
+                result += letter;
+                return `${cells.map((value, i) => `${value} × ${numbers[i]}`).join(' + ')} = ${total} ≡ ${mod(total)} → ${letter}`;
+            });
+            blocks.push({ letters: block, numbers, sums, result });
+        }
+        return blocks;
+    }
+
+    // --- Affine ---
+
+    // Multipliers with an inverse mod 26 (odd and not 13), so the key can be undone
+    const AFFINE_MULTIPLIERS = [...ALPHABET].map((_, a) => a).filter(a => modInverse(a) !== null);
+
+    /**
+     * Picks a random affine key. A multiplier of 1 is left out, since that is just a Caesar shift.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @returns {Object} { a, b }
+     */
+    function generateAffineKey(random = Math.random) {
+        const a = pickRandom(AFFINE_MULTIPLIERS.filter(value => value !== 1), random);
+        return { a, b: Math.floor(random() * 26) };
+    }
+
+    /**
+     * Builds the substitution key for an affine cipher, where each letter x (A = 0)
+     * encrypts to a × x + b mod 26.
+     * @param {number} a - The multiplier (coprime to 26).
+     * @param {number} b - The shift.
+     * @returns {Object} The substitution map { CipherLetter: PlainLetter }.
+     */
+    function buildAffineKey(a, b) {
+        const keyMap = {};
+        ALPHABET.split('').forEach((plain, x) => {
+            keyMap[ALPHABET[mod(a * x + b)]] = plain;
+        });
+        return keyMap;
+    }
+
+    /**
+     * Finds the affine key from two known plaintext letters and the cipher letters they became.
+     * @param {string} plainA - The first plaintext letter.
+     * @param {string} cipherA - The cipher letter it encrypts to.
+     * @param {string} plainB - The second plaintext letter.
+     * @param {string} cipherB - The cipher letter it encrypts to.
+     * @returns {Object|null} { a, b }, or null if the two letters do not pin down a single
+     *                        key (their difference shares a factor with 26) or give no valid one.
+     */
+    function solveAffineKey(plainA, cipherA, plainB, cipherB) {
+        const differenceInverse = modInverse(ALPHABET.indexOf(plainB) - ALPHABET.indexOf(plainA));
+        if (differenceInverse === null) return null;
+        const a = mod((ALPHABET.indexOf(cipherB) - ALPHABET.indexOf(cipherA)) * differenceInverse);
+        if (modInverse(a) === null) return null;
+        return { a, b: mod(ALPHABET.indexOf(cipherA) - a * ALPHABET.indexOf(plainA)) };
+    }
+
+    /**
+     * Writes a sum of two multiples, e.g. '3 × 5 − 2 × 7'.
+     * @param {number} x - The first coefficient.
+     * @param {number|string} first - The first term.
+     * @param {number} y - The second coefficient.
+     * @param {number|string} second - The second term.
+     * @returns {string} The sum.
+     */
+    function formatCombination(x, first, y, second) {
+        return `${x < 0 ? '−' : ''}${Math.abs(x)} × ${first} ${y < 0 ? '−' : '+'} ${Math.abs(y)} × ${second}`;
+    }
+
+    /**
+     * Works through finding a modular inverse with the extended Euclidean algorithm:
+     * divide down to a remainder of 1, then work back up to write 1 as a sum of
+     * multiples of m and a.
+     * @param {number} a - The number to invert.
+     * @param {number} [m=26] - The modulus.
+     * @returns {string[]} The lines of working, ending with the inverse (or why there is none).
+     */
+    function explainModInverse(a, m = 26) {
+        const value = mod(a, m);
+        const inverse = modInverse(value, m);
+        if (inverse === null) {
+            return [`${value} shares a factor with ${m}, so it has no inverse mod ${m}.`];
+        }
+        if (value === 1) {
+            return ['1 × 1 = 1, so 1 is its own inverse.'];
+        }
+
+        const lines = ['Divide until the remainder is 1 (Euclid\'s algorithm):'];
+        const remainders = [m, value];
+        const quotients = [];
+        while (remainders[remainders.length - 1] !== 1) {
+            const [larger, smaller] = remainders.slice(-2);
+            quotients.push(Math.floor(larger / smaller));
+            remainders.push(larger % smaller);
+            lines.push(`${larger} = ${quotients[quotients.length - 1]} × ${smaller} + ${larger % smaller}`);
+        }
+
+        // 1 = x × remainders[i - 1] + y × remainders[i], substituting upward until i is 1
+        let i = remainders.length - 2;
+        let x = 1;
+        let y = -quotients[i - 1];
+        lines.push(`Work back up, writing 1 in terms of ${m} and ${value}:`);
+        lines.push(`1 = ${formatCombination(x, remainders[i - 1], y, remainders[i])}`);
+        while (i > 1) {
+            const quotient = quotients[i - 2];
+            const substituted = `(${remainders[i - 2]} − ${quotient} × ${remainders[i - 1]})`;
+            const before = formatCombination(x, remainders[i - 1], y, substituted);
+            [x, y] = [y, x - y * quotient];
+            i--;
+            lines.push(`1 = ${before} = ${formatCombination(x, remainders[i - 1], y, remainders[i])}`);
+        }
+        lines.push(y < 0
+            ? `So ${value} × (${y}) ≡ 1 (mod ${m}), and the inverse is ${y} + ${m} = ${inverse}.`
+            : `So ${value} × ${y} ≡ 1 (mod ${m}), and the inverse is ${inverse}.`);
+        lines.push(`Check: ${value} × ${inverse} = ${value * inverse} = ${(value * inverse - 1) / m} × ${m} + 1.`);
+        return lines;
+    }
+
+    /**
+     * Works through the arithmetic for each different letter of a text, in order of
+     * first appearance: y = a × x + b to encrypt, or x = a⁻¹ × (y − b) to decrypt.
+     * @param {string} text - The text being encrypted or decrypted.
+     * @param {number} a - The multiplier.
+     * @param {number} b - The shift.
+     * @param {boolean} [decrypting=false] - True to decrypt.
+     * @returns {string[]} One line per letter, e.g. 'R = 17 → 15 × (17 − 8) = 135 ≡ 5 → F'.
+     */
+    function explainAffineLetters(text, a, b, decrypting = false) {
+        const inverse = modInverse(a);
+        return [...new Set(normalizeText(text))].map(letter => {
+            const number = ALPHABET.indexOf(letter);
+            const total = decrypting ? inverse * (number - b) : a * number + b;
+            const working = decrypting ? `${inverse} × (${number} − ${b})` : `${a} × ${number} + ${b}`;
+            return `${letter} = ${number} → ${working} = ${total} ≡ ${mod(total)} → ${ALPHABET[mod(total)]}`;
+        });
+    }
+
+    /**
+     * Works through recovering an affine key from two known plaintext letters: one
+     * equation per letter, subtracted to remove b, then solved for a with a modular
+     * inverse, and a put back to find b.
+     * @param {string} plainA - The first plaintext letter.
+     * @param {string} cipherA - The cipher letter it encrypts to.
+     * @param {string} plainB - The second plaintext letter.
+     * @param {string} cipherB - The cipher letter it encrypts to.
+     * @returns {Object[]} The steps in order: { reason, lines }, where lines is any
+     *                     further working for the step.
+     */
+    function explainAffineAttack(plainA, cipherA, plainB, cipherB) {
+        const [p1, c1, p2, c2] = [plainA, cipherA, plainB, cipherB].map(letter => ALPHABET.indexOf(letter));
+        const steps = [
+            { reason: `Write the letters as numbers: ${plainA} = ${p1} becomes ${cipherA} = ${c1}, and ${plainB} = ${p2} becomes ${cipherB} = ${c2}.`, lines: [] },
+            { reason: `Each pair gives an equation: ${c1} ≡ ${p1}a + b and ${c2} ≡ ${p2}a + b (mod 26).`, lines: [] }
+        ];
+        const difference = mod(p2 - p1);
+        const cipherDifference = mod(c2 - c1);
+        steps.push({
+            reason: `Subtract the first equation from the second to remove b: ${c2} − ${c1} ≡ (${p2} − ${p1})a, so ${cipherDifference} ≡ ${difference}a (mod 26).`,
+            lines: []
+        });
+
+        const differenceInverse = modInverse(difference);
+        steps.push({ reason: `Find the inverse of ${difference} mod 26.`, lines: explainModInverse(difference) });
+        if (differenceInverse === null) {
+            steps.push({ reason: 'Without that inverse the equation has more than one answer, so these two letters cannot pin down the key.', lines: [] });
+            return steps;
+        }
+        const a = mod(cipherDifference * differenceInverse);
+        steps.push({ reason: `Multiply both sides by ${differenceInverse}: a ≡ ${cipherDifference} × ${differenceInverse} = ${cipherDifference * differenceInverse} ≡ ${a} (mod 26).`, lines: [] });
+        const b = mod(c1 - a * p1);
+        steps.push({ reason: `Put a back into the first equation: b ≡ ${c1} − ${p1} × ${a} = ${c1 - a * p1} ≡ ${b} (mod 26).`, lines: [] });
+        return steps;
+    }
+
+    // --- Straddling Checkerboard ---
+
+    const CHECKERBOARD_DIGITS = '0123456789'; // Column headings, left to right
+    const CHECKERBOARD_EXTRAS = './';         // Fill the two cells left after the 26 letters
+
+    /**
+     * Builds a straddling checkerboard: the keyed alphabet (then the two extra symbols)
+     * written row by row into a top row of 8 letters, whose two blank columns label the
+     * two full rows below it.
+     * @param {string} keyword - The keyword.
+     * @param {number[]} blanks - The two top-row columns (0-9) left blank.
+     * @returns {Object} { blanks, rows }, where blanks are sorted and rows are the three rows
+     *                   of 10 cells each ('' in the top row's blank columns).
+     */
+    function buildCheckerboard(keyword, blanks) {
+        const sortedBlanks = [...blanks].sort((a, b) => a - b);
+        const symbols = (buildKeyedAlphabet(keyword) + CHECKERBOARD_EXTRAS).split('');
+        const top = CHECKERBOARD_DIGITS.split('').map((_, col) => sortedBlanks.includes(col) ? '' : symbols.shift());
+        return { blanks: sortedBlanks, rows: [top, symbols.slice(0, 10), symbols.slice(10, 20)] };
+    }
+
+    /**
+     * Lists each symbol's code on a checkerboard: its column digit in the top row, or its
+     * row's blank digit followed by its column digit in the rows below.
+     * @param {Object} board - The checkerboard (see buildCheckerboard).
+     * @returns {Object} { Symbol: code }, e.g. { E: '3', T: '27' }.
+     */
+    function getCheckerboardCodes(board) {
+        const codes = {};
+        const rowLabels = ['', ...board.blanks];
+        board.rows.forEach((cells, row) => {
+            cells.forEach((symbol, col) => {
+                if (symbol) codes[symbol] = `${rowLabels[row]}${CHECKERBOARD_DIGITS[col]}`;
+            });
+        });
+        return codes;
+    }
+
+    /**
+     * Encrypts with a straddling checkerboard.
+     * @param {string} plain - The plaintext (letters only are kept).
+     * @param {Object} board - The checkerboard (see buildCheckerboard).
+     * @returns {string[]} One code per letter; joined, they are the ciphertext digits.
+     */
+    function encryptCheckerboard(plain, board) {
+        const codes = getCheckerboardCodes(board);
+        return normalizeText(plain).split('').map(char => codes[char]);
+    }
+
+    /**
+     * Splits checkerboard digits into codes: a blank-row digit starts a two-digit code,
+     * and any other digit is a code on its own.
+     * @param {string} digits - The ciphertext digits.
+     * @param {number[]} blanks - The board's two blank columns.
+     * @returns {string[]} The codes, in order. A blank-row digit at the very end stays on its own.
+     */
+    function splitCheckerboardDigits(digits, blanks) {
+        const clean = digits.replace(/[^0-9]/g, '');
+        const codes = [];
+        for (let i = 0; i < clean.length; i++) {
+            const twoDigits = blanks.includes(parseInt(clean[i], 10)) && i + 1 < clean.length;
+            codes.push(twoDigits ? clean.slice(i, i + 2) : clean[i]);
+            if (twoDigits) i++;
+        }
+        return codes;
+    }
+
+    /**
+     * Decrypts straddling checkerboard digits.
+     * @param {string} digits - The ciphertext digits.
+     * @param {Object} board - The checkerboard (see buildCheckerboard).
+     * @returns {string} The plaintext ('?' for a code that is not on the board).
+     */
+    function decryptCheckerboard(digits, board) {
+        const symbols = invertKey(getCheckerboardCodes(board));
+        return splitCheckerboardDigits(digits, board.blanks).map(code => symbols[code] || '?').join('');
+    }
+
+    // --- Cryptarithm ---
+
+    /**
+     * Converts a word to a number using a letter-to-digit mapping.
+     * @param {string} word - The word to convert.
+     * @param {Object} mapping - The letter-to-digit map.
+     * @returns {number} The resulting number, or NaN if a letter is unmapped.
+     */
+    function wordToNumber(word, mapping) {
+        let numStr = '';
+        for (const letter of word) {
+            if (mapping[letter] === undefined) return NaN;
+            numStr += mapping[letter];
+        }
+        return parseInt(numStr, 10);
+    }
+
+    // Ten-letter words with no repeated letter. A generated puzzle writes digit d as the
+    // word's letter at index d, so the digits 0-9 spell the word.
+    const CRYPTARITHM_KEY_WORDS = [
+        'BLACKSMITH', 'CAMPGROUND', 'PATHFINDER', 'DUMBWAITER', 'LUMBERJACK', 'BANKRUPTCY',
+        'TRAMPOLINE', 'FARSIGHTED', 'HYDROPLANE', 'NIGHTMARES', 'COMPATIBLE', 'SPORTINGLY',
+        'DOWNSTREAM', 'PLAYGROUND', 'COPYRIGHTS', 'FLOWCHARTS', 'SHOPLIFTED', 'WORKPLACES',
+        'DUPLICATES', 'STOCKPILED', 'BIRTHPLACE', 'MISFORTUNE', 'GREYHOUNDS', 'PITCHFORKS',
+        'CLOTHESPIN', 'BOYFRIENDS'
+    ];
+
+    const CRYPTARITHM_TYPES = ['addition', 'subtraction', 'multiplication', 'division'];
+    const MAX_GENERATION_ATTEMPTS = 200;
+
+    /**
+     * Writes a number with the letters of a key word standing for its digits.
+     * @param {number} number - A non-negative integer.
+     * @param {string} keyWord - Ten distinct letters; letter d stands for digit d.
+     * @returns {string} The number as letters.
+     */
+    function numberToWord(number, keyWord) {
+        return String(number).split('').map(digit => keyWord[digit]).join('');
+    }
+
+    /**
+     * Returns a random integer with a given number of digits (no leading zero).
+     * @param {number} length - Number of digits.
+     * @param {Function} random - Source of random numbers in [0, 1).
+     * @returns {number} The integer.
+     */
+    function randomNumber(length, random) {
+        const min = 10 ** (length - 1);
+        return min + Math.floor(random() * (10 ** length - min));
+    }
+
+    /**
+     * Builds an addition or subtraction cryptarithm from its words.
+     * Subtraction is checked as an addition: a - b = c holds when b + c = a.
+     * @param {string[]} words - [operand1, operand2, result].
+     * @param {string} op - '+' or '-'.
+     * @returns {Object} The puzzle (see generateCryptarithm).
+     */
+    function buildSumPuzzle(words, op) {
+        const [first, second, result] = words;
+        return {
+            op,
+            words,
+            lines: [
+                { sign: '', word: first, offset: 0 },
+                { sign: op, word: second, offset: 0 },
+                { sign: '', word: result, offset: 0, rule: true }
+            ],
+            equations: op === '+'
+                ? [{ op: '+', terms: [first, second], result }]
+                : [{ op: '+', terms: [second, result], result: first }]
+        };
+    }
+
+    /**
+     * Builds a multiplication cryptarithm, with one partial product line per
+     * multiplier digit when the multiplier has more than one digit.
+     * @param {number} multiplicand - The top number.
+     * @param {number} multiplier - The number it is multiplied by.
+     * @param {string} keyWord - Ten distinct letters standing for the digits 0-9.
+     * @returns {Object} The puzzle (see generateCryptarithm).
+     */
+    function buildMultiplicationPuzzle(multiplicand, multiplier, keyWord) {
+        const top = numberToWord(multiplicand, keyWord);
+        const bottom = numberToWord(multiplier, keyWord);
+        const product = numberToWord(multiplicand * multiplier, keyWord);
+        const lines = [
+            { sign: '', word: top, offset: 0 },
+            { sign: '×', word: bottom, offset: 0 }
+        ];
+        const equations = [{ op: '*', terms: [top, bottom], result: product }];
+
+        if (bottom.length > 1) {
+            // Partial products, one per multiplier digit from the right, each shifted one column left
+            bottom.split('').reverse().forEach((digitLetter, i) => {
+                const partial = numberToWord(multiplicand * Number(keyWord.indexOf(digitLetter)), keyWord);
+                lines.push({ sign: i === bottom.length - 1 ? '+' : '', word: partial, offset: i, rule: i === 0 });
+                equations.push({ op: '*', terms: [top, digitLetter], result: partial });
+            });
+        }
+        lines.push({ sign: '', word: product, offset: 0, rule: true });
+        return { op: '×', words: [top, bottom, product], lines, equations };
+    }
+
+    /**
+     * Builds a long division cryptarithm laid out the way it is worked by hand:
+     * the quotient over the dividend, then each product and difference below.
+     * @param {number} divisor - The divisor.
+     * @param {number} dividend - The dividend.
+     * @param {string} keyWord - Ten distinct letters standing for the digits 0-9.
+     * @returns {Object|null} The puzzle (see generateCryptarithm), or null if a quotient
+     *                        digit is zero (the layout would hide a step).
+     */
+    function buildDivisionPuzzle(divisor, dividend, keyWord) {
+        const digits = String(dividend);
+        const quotient = Math.floor(dividend / divisor);
+        const remainder = dividend % divisor;
+        if (quotient === 0 || String(quotient).includes('0')) return null;
+
+        const divisorWord = numberToWord(divisor, keyWord);
+        const dividendWord = numberToWord(dividend, keyWord);
+        const quotientWord = numberToWord(quotient, keyWord);
+        const remainderWord = numberToWord(remainder, keyWord);
+        const offsetAt = end => digits.length - 1 - end; // Blank columns right of dividend column `end`
+
+        const lines = [
+            { sign: '', word: quotientWord, offset: 0 },
+            { sign: `${divisorWord} )`, word: dividendWord, offset: 0, rule: true }
+        ];
+        const equations = [];
+
+        // The first partial dividend is the shortest leading part of the dividend that is at least the divisor
+        let end = 0;
+        let current = Number(digits[0]);
+        while (current < divisor) {
+            end++;
+            current = current * 10 + Number(digits[end]);
+        }
+        let currentWord = dividendWord.substring(0, end + 1);
+
+        for (const quotientLetter of quotientWord) {
+            const product = divisor * keyWord.indexOf(quotientLetter);
+            const difference = current - product;
+            const productWord = numberToWord(product, keyWord);
+            lines.push({ sign: '-', word: productWord, offset: offsetAt(end) });
+            equations.push({ op: '*', terms: [divisorWord, quotientLetter], result: productWord });
+
+            if (end === digits.length - 1) {
+                lines.push({ sign: '', word: remainderWord, offset: offsetAt(end), rule: true });
+                equations.push({ op: '+', terms: [productWord, remainderWord], result: currentWord });
+                equations.push({ op: '<', terms: [remainderWord], result: divisorWord });
+                break;
+            }
+
+            // Bring down the next dividend digit
+            const differenceWord = difference > 0 ? numberToWord(difference, keyWord) : '';
+            end++;
+            current = difference * 10 + Number(digits[end]);
+            const nextWord = numberToWord(current, keyWord);
+            lines.push({ sign: '', word: nextWord, offset: offsetAt(end), rule: true });
+            equations.push({ op: '+', terms: [productWord, differenceWord], result: currentWord });
+            if (differenceWord) {
+                equations.push({ op: '<', terms: [differenceWord], result: divisorWord });
+            }
+            currentWord = nextWord;
+        }
+
+        return { op: '÷', words: [dividendWord, divisorWord, quotientWord, remainderWord], lines, equations };
+    }
+
+    /**
+     * Lists a puzzle's letters in the order the solver assigns them: equation by
+     * equation, rightmost column first, as when solving by hand. Each equation's
+     * columns can then be checked as soon as possible.
+     * @param {Object} puzzle - The puzzle.
+     * @returns {string[]} The distinct letters.
+     */
+    function orderCryptarithmLetters(puzzle) {
+        const letters = [];
+        puzzle.equations.forEach(equation => {
+            const words = [...equation.terms, equation.result];
+            const longest = Math.max(...words.map(word => word.length));
+            for (let column = 1; column <= longest; column++) {
+                words.forEach(word => {
+                    const letter = word[word.length - column];
+                    if (letter && !letters.includes(letter)) {
+                        letters.push(letter);
+                    }
+                });
+            }
+        });
+        return letters;
+    }
+
+    /**
+     * Returns the letters that may not be zero: the first letter of every number
+     * with more than one digit.
+     * @param {Object} puzzle - The puzzle.
+     * @returns {Set<string>} The leading letters.
+     */
+    function getLeadingLetters(puzzle) {
+        const words = [...puzzle.lines.map(line => line.word)];
+        puzzle.equations.forEach(equation => words.push(...equation.terms, equation.result));
+        return new Set(words.filter(word => word.length > 1).map(word => word[0]));
+    }
+
+    /**
+     * Returns every distinct letter in a puzzle, alphabetically.
+     * @param {Object} puzzle - The puzzle.
+     * @returns {string[]} The letters.
+     */
+    function getCryptarithmLetters(puzzle) {
+        // The words cover the long-division divisor, which only appears beside the dividend
+        return [...new Set([...puzzle.words, ...puzzle.lines.map(line => line.word)].join('').split(''))].sort();
+    }
+
+    /**
+     * Reads a word as a number, with the empty word standing for zero.
+     * @param {string} word - The word.
+     * @param {Object} mapping - The letter-to-digit map.
+     * @returns {number} The number, or NaN if a letter is unmapped.
+     */
+    function equationValue(word, mapping) {
+        return word ? wordToNumber(word, mapping) : 0;
+    }
+
+    /**
+     * Checks one of a puzzle's equations with every letter mapped.
+     * @param {Object} equation - { op: '+', '*' or '<', terms, result }.
+     * @param {Object} mapping - The letter-to-digit map.
+     * @returns {boolean} True if the equation holds.
+     */
+    function checkEquation(equation, mapping) {
+        const [left, right] = equation.terms.map(word => equationValue(word, mapping));
+        const result = equationValue(equation.result, mapping);
+        if (equation.op === '+') return left + right === result;
+        if (equation.op === '*') return left * right === result;
+        return left < result;
+    }
+
+    /**
+     * Checks an equation's rightmost columns once enough letters are mapped:
+     * the last k digits of a sum or product depend only on the last k digits
+     * of its terms.
+     * @param {Object} equation - The equation.
+     * @param {Object} mapping - The partial letter-to-digit map.
+     * @returns {boolean} False only if the mapped columns already contradict the equation.
+     */
+    function checkEquationColumns(equation, mapping) {
+        const words = [...equation.terms, equation.result];
+        const longest = Math.max(...words.map(word => word.length));
+        let columns = 0;
+        while (columns < longest && words.every(word => columns >= word.length ||
+            mapping[word[word.length - 1 - columns]] !== undefined)) {
+            columns++;
+        }
+        if (columns === longest) return checkEquation(equation, mapping);
+        if (columns === 0 || equation.op === '<') return true;
+
+        const modulus = 10 ** columns;
+        const lastDigits = word => equationValue(word.slice(-columns), mapping);
+        const [left, right] = equation.terms.map(lastDigits);
+        const combined = equation.op === '+' ? left + right : left * right;
+        return combined % modulus === lastDigits(equation.result);
+    }
+
+    /**
+     * Finds the letter-to-digit mappings that solve a puzzle, by backtracking
+     * through the letters from the rightmost column and checking each equation's
+     * finished columns as it goes.
+     * @param {Object} puzzle - The puzzle.
+     * @param {number} [limit=2] - Stop after this many solutions (2 is enough to prove uniqueness).
+     * @param {Object} [candidates] - { Letter: digits[] } restricting the digits tried for each letter.
+     * @returns {Object[]} The solutions found.
+     */
+    function solveCryptarithm(puzzle, limit = 2, candidates = null) {
+        const letters = orderCryptarithmLetters(puzzle);
+        const leading = getLeadingLetters(puzzle);
+        const equationsByLetter = {};
+        letters.forEach(letter => {
+            equationsByLetter[letter] = puzzle.equations.filter(equation =>
+                [...equation.terms, equation.result].some(word => word.includes(letter)));
+        });
+
+        const mapping = {};
+        const usedDigits = new Set();
+        const solutions = [];
+
+        const assign = (index) => {
+            if (index === letters.length) {
+                solutions.push({ ...mapping });
+                return;
+            }
+            const letter = letters[index];
+            for (let digit = leading.has(letter) ? 1 : 0; digit <= 9 && solutions.length < limit; digit++) {
+                if (usedDigits.has(digit) || (candidates && !candidates[letter].includes(digit))) continue;
+                mapping[letter] = digit;
+                usedDigits.add(digit);
+                if (equationsByLetter[letter].every(equation => checkEquationColumns(equation, mapping))) {
+                    assign(index + 1);
+                }
+                usedDigits.delete(digit);
+                delete mapping[letter];
+            }
+        };
+        assign(0);
+        return solutions;
+    }
+
+    /**
+     * Generates a cryptarithm with exactly one solution.
+     * @param {string} type - One of CRYPTARITHM_TYPES.
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1).
+     * @returns {Object} The puzzle: { type, op, words, lines, equations, keyWord, solution }, where
+     *                   lines lay the puzzle out top to bottom ({ sign, word, offset, rule }, with
+     *                   offset counting blank columns on the right and rule marking a line drawn
+     *                   above), and equations are what the solver checks.
+     * @throws {Error} If no puzzle with a unique solution turns up (practically never).
+     */
+    function generateCryptarithm(type, random = Math.random) {
+        for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+            const keyWord = pickRandom(CRYPTARITHM_KEY_WORDS, random);
+            let puzzle = null;
+
+            if (type === 'addition') {
+                // Shorter sums rarely have a unique solution
+                const first = randomNumber(6, random);
+                const second = randomNumber(6, random);
+                puzzle = buildSumPuzzle([first, second, first + second].map(n => numberToWord(n, keyWord)), '+');
+            } else if (type === 'subtraction') {
+                const first = randomNumber(6, random);
+                const second = randomNumber(5 + Math.floor(random() * 2), random);
+                if (second < first) {
+                    puzzle = buildSumPuzzle([first, second, first - second].map(n => numberToWord(n, keyWord)), '-');
+                }
+            } else if (type === 'multiplication') {
+                const multiplier = 10 * (2 + Math.floor(random() * 8)) + (2 + Math.floor(random() * 8)); // Digits 2-9
+                puzzle = buildMultiplicationPuzzle(randomNumber(3 + Math.floor(random() * 2), random), multiplier, keyWord);
+            } else if (type === 'division') {
+                const divisor = 12 + Math.floor(random() * 88);
+                const quotient = randomNumber(3 + Math.floor(random() * 2), random);
+                puzzle = buildDivisionPuzzle(divisor, divisor * quotient + Math.floor(random() * divisor), keyWord);
+            } else {
+                throw new Error(`Unknown cryptarithm type: ${type}`);
+            }
+
+            if (puzzle) {
+                const solutions = solveCryptarithm(puzzle);
+                if (solutions.length === 1) {
+                    return { type, ...puzzle, keyWord, solution: solutions[0] };
+                }
+            }
+        }
+        throw new Error(`Could not generate a ${type} cryptarithm with a unique solution.`);
+    }
+
+    /**
+     * Builds a word addition puzzle such as SEND + MORE = MONEY and solves it.
+     * @param {string[]} words - [operand1, operand2, result].
+     * @returns {Object} The puzzle (see generateCryptarithm), with its solution
+     *                   (the first one found if there are several).
+     */
+    function buildWordCryptarithm(words) {
+        const puzzle = { type: 'classic', ...buildSumPuzzle(words, '+'), keyWord: '' };
+        puzzle.solution = solveCryptarithm(puzzle, 1)[0] || null;
+        return puzzle;
+    }
+
+    /**
+     * Checks whether a mapping solves a cryptarithm: every equation holds and
+     * no number starts with zero.
+     * @param {Object} puzzle - The puzzle (see generateCryptarithm).
+     * @param {Object} mapping - The letter-to-digit map.
+     * @returns {boolean} True if the arithmetic holds.
+     */
+    function checkCryptarithm(puzzle, mapping) {
+        if (getCryptarithmLetters(puzzle).some(letter => mapping[letter] === undefined)) return false;
+        if ([...getLeadingLetters(puzzle)].some(letter => mapping[letter] === 0)) return false;
+        return puzzle.equations.every(equation => checkEquation(equation, mapping));
+    }
+
+    // Multiplication deductions are skipped when they would mean trying more digit combinations than this
+    const MAX_COLUMN_COMBINATIONS = 200000;
+
+    /**
+     * Writes an equation the way it appears in the puzzle. Subtraction and long
+     * division steps are stored as additions, so they are turned back around.
+     * @param {Object} puzzle - The puzzle.
+     * @param {Object} equation - One of its equations.
+     * @returns {string} e.g. 'SEND + MORE = MONEY'.
+     */
+    function describeEquation(puzzle, equation) {
+        const [left, right] = equation.terms;
+        if (equation.op === '<') return `${left} < ${equation.result}`;
+        if (equation.op === '*') return `${left} × ${right} = ${equation.result}`;
+        if (puzzle.op === '-' || puzzle.op === '÷') return `${equation.result} - ${left} = ${right || '0'}`;
+        return `${left} + ${right} = ${equation.result}`;
+    }
+
+    /**
+     * Joins digits or letters into an English list.
+     * @param {Array} items - The items.
+     * @param {string} [word='or'] - The last joining word.
+     * @returns {string} e.g. '1, 2 or 3'.
+     */
+    function listWords(items, word = 'or') {
+        return items.length < 2 ? items.join('') : `${items.slice(0, -1).join(', ')} ${word} ${items[items.length - 1]}`;
+    }
+
+    /**
+     * Tries every combination of distinct candidate digits for some letters and
+     * keeps the digits that appear in at least one combination that passes a test.
+     * @param {string[]} letters - The letters to assign.
+     * @param {Object} candidates - { Letter: digits[] }.
+     * @param {Function} test - Called with the { Letter: digit } mapping; returns true if it works.
+     * @returns {Object} { Letter: digits[] } for the given letters.
+     */
+    function findPossibleDigits(letters, candidates, test) {
+        const possible = {};
+        letters.forEach(letter => possible[letter] = new Set());
+        const mapping = {};
+        const usedDigits = new Set();
+        const assign = (index) => {
+            if (index === letters.length) {
+                if (test(mapping)) letters.forEach(letter => possible[letter].add(mapping[letter]));
+                return;
+            }
+            const letter = letters[index];
+            for (const digit of candidates[letter]) {
+                if (usedDigits.has(digit)) continue;
+                mapping[letter] = digit;
+                usedDigits.add(digit);
+                assign(index + 1);
+                usedDigits.delete(digit);
+                delete mapping[letter];
+            }
+        };
+        assign(0);
+
+        const result = {};
+        letters.forEach(letter => result[letter] = [...possible[letter]].sort((a, b) => a - b));
+        return result;
+    }
+
+    /**
+     * Works through one column of an addition: the two letters there plus the
+     * carry in must end in the result letter and carry the rest to the next column.
+     * @param {Object} equation - A '+' equation.
+     * @param {number} column - The column, counting from 0 at the right.
+     * @param {Object} candidates - { Letter: digits[] }.
+     * @param {number[]} carriesIn - The possible carries into the column.
+     * @param {number[]} carriesOut - The possible carries out of it.
+     * @returns {Object} { letters: { Letter: digits[] }, carriesIn, carriesOut } with what still works.
+     */
+    function findAdditionColumn(equation, column, candidates, carriesIn, carriesOut) {
+        const [left, right, result] = [...equation.terms, equation.result].map(word => word[word.length - 1 - column] || '');
+        const letters = [...new Set([left, right, result].filter(Boolean))];
+        const possibleIn = new Set();
+        const possibleOut = new Set();
+        const digits = findPossibleDigits(letters, candidates, mapping => {
+            let works = false;
+            carriesIn.forEach(carry => {
+                const total = (left ? mapping[left] : 0) + (right ? mapping[right] : 0) + carry;
+                if (total % 10 === (result ? mapping[result] : 0) && carriesOut.includes(Math.floor(total / 10))) {
+                    possibleIn.add(carry);
+                    possibleOut.add(Math.floor(total / 10));
+                    works = true;
+                }
+            });
+            return works;
+        });
+        return { letters: digits, carriesIn: [...possibleIn].sort(), carriesOut: [...possibleOut].sort() };
+    }
+
+    /**
+     * Says what one column of an addition (or of a subtraction, read back the
+     * way it is written) requires.
+     * @param {Object} puzzle - The puzzle.
+     * @param {Object} equation - A '+' equation.
+     * @param {number} column - The column, counting from 0 at the right.
+     * @returns {string} The requirement, without a full stop.
+     */
+    function describeAdditionColumn(puzzle, equation, column) {
+        const [left, right, result] = [...equation.terms, equation.result].map(word => word[word.length - 1 - column] || '');
+        const text = describeEquation(puzzle, equation);
+        const place = `column ${column + 1} from the right of ${text}`;
+        if (puzzle.op === '-' || puzzle.op === '÷') {
+            if (!left && !right) return `In ${place}, ${result} is only there to cover the borrow`;
+            const taken = [left, column > 0 ? 'any borrow' : ''].filter(Boolean).map(term => ` minus ${term}`).join('');
+            return `In ${place}, ${result}${taken} must leave ${right || '0'}`;
+        }
+        if (!left && !right) return `In ${place}, ${result} can only be the carry from the column before`;
+        const added = [left, right].filter(Boolean).join(' + ');
+        return `In ${place}, ${added}${column > 0 ? ' plus the carry' : ''} must end in ${result}`;
+    }
+
+    /**
+     * Says how a carry between two columns has been pinned down.
+     * @param {Object} puzzle - The puzzle.
+     * @param {number} column - The column the carry comes out of, counting from 0 at the right.
+     * @param {number} carry - The carry.
+     * @returns {string} The description.
+     */
+    function describeCarry(puzzle, column, carry) {
+        if (puzzle.op === '-' || puzzle.op === '÷') {
+            return `column ${column + 1} ${carry ? 'must borrow from' : 'cannot borrow from'} column ${column + 2}`;
+        }
+        return `column ${column + 1} ${carry ? 'must carry 1' : 'cannot carry'} into column ${column + 2}`;
+    }
+
+    /**
+     * Says which digits a letter has just been narrowed to.
+     * @param {string} letter - The letter.
+     * @param {number[]} before - Its candidates before.
+     * @param {number[]} after - Its candidates after.
+     * @returns {string} e.g. 'M must be 1'.
+     */
+    function describeCandidates(letter, before, after) {
+        if (after.length === 1) return `${letter} must be ${after[0]}`;
+        if (after.length <= 3) return `${letter} can only be ${listWords(after)}`;
+        return `${letter} cannot be ${listWords(before.filter(digit => !after.includes(digit)))}`;
+    }
+
+    /**
+     * Works through a logical solve of a cryptarithm, one deduction at a time:
+     * no leading zeros, column-by-column arithmetic with carries, letters that
+     * are already known, and, when nothing else helps, trying each remaining digit.
+     * @param {Object} puzzle - The puzzle (see generateCryptarithm).
+     * @returns {Object[]} The steps in order: { reason, letters, candidates }, where letters
+     *                     are the letters whose candidates changed and candidates is the
+     *                     { Letter: digits[] } table after the step. The first step is the
+     *                     starting position, with every digit possible.
+     */
+    function explainCryptarithm(puzzle) {
+        const letters = getCryptarithmLetters(puzzle);
+        const leading = [...getLeadingLetters(puzzle)].filter(letter => letters.includes(letter)).sort();
+        const candidates = {};
+        letters.forEach(letter => candidates[letter] = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+        const snapshot = () => {
+            const copy = {};
+            letters.forEach(letter => copy[letter] = [...candidates[letter]]);
+            return copy;
+        };
+        const steps = [{ reason: 'Every letter could be any digit from 0 to 9.', letters: [], candidates: snapshot() }];
+
+        // The possible carries into each column of each addition, from the right
+        const carries = puzzle.equations.map(equation => {
+            const longest = Math.max(...[...equation.terms, equation.result].map(word => word.length));
+            return Array.from({ length: longest + 1 }, (_, column) => column === 0 || column === longest ? [0] : [0, 1]);
+        });
+
+        // Applies narrowed candidates (and carry notes) as a new step, if they change anything
+        const record = (reason, updated, notes = [], describeLetters = true) => {
+            const changed = Object.keys(updated).filter(letter => updated[letter].length < candidates[letter].length);
+            if (changed.length === 0 && notes.length === 0) return false;
+            const conclusions = [...notes];
+            if (describeLetters) {
+                changed.sort().forEach(letter => conclusions.push(describeCandidates(letter, candidates[letter], updated[letter])));
+            }
+            changed.forEach(letter => candidates[letter] = updated[letter]);
+            steps.push({ reason: `${reason}, so ${listWords(conclusions, 'and')}.`, letters: changed, candidates: snapshot() });
+            return true;
+        };
+
+        // Each deduction returns true if it made progress
+        const useKnownLetter = () => {
+            const known = letters.find(letter => candidates[letter].length === 1 &&
+                letters.some(other => other !== letter && candidates[other].includes(candidates[letter][0])));
+            if (!known) return false;
+            const digit = candidates[known][0];
+            const updated = {};
+            letters.filter(letter => letter !== known).forEach(letter => {
+                updated[letter] = candidates[letter].filter(d => d !== digit);
+            });
+            return record(`${known} is ${digit}`, updated, [`no other letter can be ${digit}`], false);
+        };
+        const useAdditionColumns = (equation, index) => {
+            const columnCarries = carries[index];
+            for (let column = 0; column < columnCarries.length - 1; column++) {
+                const found = findAdditionColumn(equation, column, candidates, columnCarries[column], columnCarries[column + 1]);
+                const notes = [];
+                if (found.carriesIn.length < columnCarries[column].length) {
+                    columnCarries[column] = found.carriesIn;
+                    notes.push(describeCarry(puzzle, column - 1, found.carriesIn[0]));
+                }
+                if (found.carriesOut.length < columnCarries[column + 1].length) {
+                    columnCarries[column + 1] = found.carriesOut;
+                    notes.push(describeCarry(puzzle, column, found.carriesOut[0]));
+                }
+                if (record(describeAdditionColumn(puzzle, equation, column), found.letters, notes)) return true;
+            }
+            return false;
+        };
+        const useMultiplication = (equation) => {
+            const words = [...equation.terms, equation.result];
+            const longest = Math.max(...words.map(word => word.length));
+            const text = describeEquation(puzzle, equation);
+            for (let columns = 1; columns <= longest; columns++) {
+                const columnLetters = [...new Set(words.map(word => word.slice(-columns)).join(''))];
+                const combinations = columnLetters.reduce((count, letter) => count * candidates[letter].length, 1);
+                if (combinations > MAX_COLUMN_COMBINATIONS) return false;
+                const digits = columns === 1 ? 'last digit' : `last ${columns} digits`;
+                const reason = columns === longest ? `${text} must hold exactly` :
+                    `In ${text}, the ${digits} of the product ${columns === 1 ? 'depends' : 'depend'} only on the ${digits} of each number`;
+                const found = findPossibleDigits(columnLetters, candidates, mapping => checkEquationColumns(equation, mapping));
+                if (record(reason, found)) return true;
+            }
+            return false;
+        };
+        const useComparison = (equation) => {
+            const columnLetters = [...new Set([...equation.terms, equation.result].join(''))];
+            const found = findPossibleDigits(columnLetters, candidates, mapping => checkEquation(equation, mapping));
+            return record(`The remainder ${equation.terms[0]} must be less than the divisor ${equation.result}`, found);
+        };
+        const tryEachDigit = () => {
+            const letter = letters.filter(l => candidates[l].length > 1)
+                .sort((a, b) => candidates[a].length - candidates[b].length)[0];
+            const ruledOut = candidates[letter].filter(digit =>
+                solveCryptarithm(puzzle, 1, { ...candidates, [letter]: [digit] }).length === 0);
+            const kept = candidates[letter].filter(digit => !ruledOut.includes(digit));
+            return record(`Trying each remaining digit for ${letter}, ${listWords(ruledOut, 'and')} ${ruledOut.length === 1 ? 'leads' : 'lead'} to a contradiction`,
+                { [letter]: kept });
+        };
+
+        record(`${listWords(leading, 'and')} ${leading.length === 1 ? 'starts a number' : 'start numbers'}`,
+            Object.fromEntries(leading.map(letter => [letter, candidates[letter].filter(digit => digit !== 0)])),
+            [`${leading.length === 1 ? 'it' : 'they'} cannot be 0`], false);
+
+        while (letters.some(letter => candidates[letter].length > 1)) {
+            const progressed = useKnownLetter() || puzzle.equations.some((equation, index) => {
+                if (equation.op === '+') return useAdditionColumns(equation, index);
+                if (equation.op === '*') return useMultiplication(equation);
+                return useComparison(equation);
+            }) || tryEachDigit();
+            if (!progressed) break; // More than one solution; nothing left to deduce
+        }
+        // Finish clearing digits that the last deductions pinned down
+        while (useKnownLetter());
+        return steps;
+    }
+
+    const CipherEngine = {
+        ALPHABET,
+        normalizeText,
+        shuffle,
+        createRandom,
+        pickRandom,
+        mod,
+        modInverse,
+        // Substitution
+        generateRandomKey,
+        buildKeyedAlphabet,
+        shiftAlphabet,
+        generateKeyedKey,
+        invertKey,
+        encryptSubstitution,
+        decryptSubstitution,
+        formatPatristocrat,
+        getWordPattern,
+        buildPatternIndex,
+        findPatternMatches,
+        analyzeCiphertext,
+        buildNgramScorer,
+        scoreNgrams,
+        solveSubstitution,
+        // Language packs
+        LANGUAGE_PACKS,
+        getLanguagePack,
+        foldAccents,
+        rateSubstitutionDifficulty,
+        // Baconian
+        BACONIAN_ENCODE,
+        BACONIAN_DECODE,
+        encodeBaconian,
+        decodeBaconian,
+        BACONIAN_VARIANTS,
+        BACONIAN_SYMBOL_SETS,
+        disguiseBaconian,
+        isSameBaconianLetter,
+        // Porta
+        PORTA_TABLE,
+        portaProcess,
+        portaKeyPair,
+        findPortaKeyPair,
+        // Vigenère family
+        POLYALPHABETIC_TYPES,
+        getPolyalphabeticShifts,
+        getPolyalphabeticKeyStream,
+        encryptPolyalphabeticLetter,
+        decryptPolyalphabeticLetter,
+        findPolyalphabeticShift,
+        encryptPolyalphabetic,
+        decryptPolyalphabetic,
+        buildPolyalphabeticTableau,
+        // Columnar
+        getColumnOrder,
+        encryptColumnar,
+        decryptColumnar,
+        splitColumns,
+        readColumnarGrid,
+        getSolvedArrangement,
+        // Fractionated Morse
+        MORSE_ENCODE,
+        MORSE_DECODE,
+        generateMorseSequence,
+        padMorseSequence,
+        decodeMorseSequence,
+        countMorseLetterErrors,
+        generateTrigrams,
+        buildMorseTable,
+        encodeFractionatedMorse,
+        decodeFractionatedMorse,
+        // Morbit and Pollux
+        MORBIT_PAIRS,
+        MORBIT_DIGITS,
+        POLLUX_SYMBOLS,
+        POLLUX_DIGITS,
+        generateMorbitKey,
+        encodeMorbit,
+        decodeMorbit,
+        generatePolluxKey,
+        encodePollux,
+        decodePollux,
+        // Nihilist
+        ALPHABET_25,
+        generatePolybiusSequence,
+        charToCoordinate,
+        coordinateToChar,
+        encryptNihilist,
+        removeNihilistKey,
+        decryptNihilist,
+        // Hill
+        HILL_PADDING,
+        buildHillMatrix,
+        matrixDeterminant,
+        invertHillMatrix,
+        padHillText,
+        applyHillMatrix,
+        encryptHill,
+        decryptHill,
+        explainHillInverse,
+        explainHillBlocks,
+        // Affine
+        AFFINE_MULTIPLIERS,
+        generateAffineKey,
+        buildAffineKey,
+        solveAffineKey,
+        explainModInverse,
+        explainAffineLetters,
+        explainAffineAttack,
+        // Straddling checkerboard
+        CHECKERBOARD_DIGITS,
+        CHECKERBOARD_EXTRAS,
+        buildCheckerboard,
+        getCheckerboardCodes,
+        encryptCheckerboard,
+        splitCheckerboardDigits,
+        decryptCheckerboard,
+        // Cryptarithm
+        CRYPTARITHM_TYPES,
+        wordToNumber,
+        numberToWord,
+        getCryptarithmLetters,
+        getLeadingLetters,
+        solveCryptarithm,
+        explainCryptarithm,
+        generateCryptarithm,
+        buildWordCryptarithm,
+        checkCryptarithm
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CipherEngine;
+    } else {
+        root.CipherEngine = CipherEngine;
+    }
+})(this);
@@ -0,0 +1,85 @@
+// exam.js
+// Shared pieces of the timed practice test: the list of cipher pages, and the
+// messaging that lets a cipher page run as one question inside test.html.
+
+const CIPHER_TYPES = [
+    { id: 'aristocrat', name: 'Aristocrat', page: 'aristocrat.html' },
+    { id: 'patristocrat', name: 'Patristocrat', page: 'patristocrat.html' },
+    { id: 'baconian', name: 'Baconian', page: 'baconian.html' },
+    { id: 'xenocrypt', name: 'Xenocrypt', page: 'xenocrypt.html' },
+    { id: 'porta', name: 'Porta', page: 'porta.html' },
+    { id: 'cryptarithm', name: 'Cryptarithm', page: 'cryptarithm.html' },
+    { id: 'nihilist', name: 'Nihilist', page: 'nihilist.html' },
+    { id: 'columnar', name: 'Columnar', page: 'columnar.html' },
+    { id: 'morse', name: 'Fractionated Morse', page: 'morse.html' },
+    { id: 'hill', name: 'Hill', page: 'hill.html' },
+    { id: 'affine', name: 'Affine', page: 'affine.html' },
+    { id: 'checkerboard', name: 'Checkerboard', page: 'checkerboard.html' },
+    { id: 'morbit', name: 'Morbit', page: 'morbit.html' },
+    { id: 'pollux', name: 'Pollux', page: 'pollux.html' },
+    { id: 'polyalphabetic', name: 'Vigenère Family', page: 'polyalphabetic.html' }
+];
+
+// A page is a test question when test.html loads it in an iframe with ?exam
+const EXAM_MODE = new URLSearchParams(window.location.search).has('exam') && window.parent !== window;
+
+let examScorer = null; // Page callback returning { score, pointValue, status }
+
+/**
+ * Registers the callback that reports this page's result to the test runner.
+ * When the test ends, the runner asks for a final result, so the callback
+ * should score whatever the student has entered so far.
+ * @param {Function} scorer - Called with { final: boolean }; returns { score, pointValue, status }
+ *                            where status is 'unanswered', 'solved', 'submitted' or 'gave-up'.
+ */
+function registerExamScorer(scorer) {
+    examScorer = scorer;
+}
+
+/**
+ * Sends the page's current result to the test runner. Pages call this whenever
+ * a question is solved, submitted or given up.
+ */
+function reportExamResult() {
+    if (!EXAM_MODE || !examScorer) return;
+    window.parent.postMessage({ type: 'codebusters-exam-result', ...examScorer({ final: false }) }, '*');
+}
+
+/**
+ * Tells the test runner how tall the page is so the question frame can fit it.
+ */
+function reportExamHeight() {
+    window.parent.postMessage({ type: 'codebusters-exam-height', height: document.documentElement.scrollHeight }, '*');
+}
+
+if (EXAM_MODE) {
+    document.addEventListener('DOMContentLoaded', () => {
+        // Hides the site header and anything marked .exam-hidden (see styles.css)
+        document.body.classList.add('exam-mode');
+        reportExamHeight();
+        new ResizeObserver(reportExamHeight).observe(document.body);
+    });
+
+    window.addEventListener('message', (event) => {
+        if (event.source !== window.parent || !event.data || event.data.type !== 'codebusters-exam-collect') return;
+        const result = examScorer ? examScorer({ final: true }) : { score: 0, pointValue: 0, status: 'unanswered' };
+        window.parent.postMessage({ type: 'codebusters-exam-final', ...result }, '*');
+    });
+}
+
+/**
+ * Scores the free-text answer box (#exam-answer-input) that pages without
+ * letter-by-letter inputs show in exam mode.
+ * @param {string} expected - The normalized plaintext (A-Z only).
+ * @param {number} pointValue - The question's point value.
+ * @returns {Object} { score, pointValue, status }
+ */
+function scoreExamAnswer(expected, pointValue) {
+    const input = document.getElementById('exam-answer-input');
+    const guessed = input ? input.value.toUpperCase().replace(/[^A-Z]/g, '') : '';
+    if (!guessed) {
+        return { score: 0, pointValue, status: 'unanswered' };
+    }
+    const result = scoreAnswer(expected, guessed, pointValue);
+    return { score: result.score, pointValue, status: result.errors === 0 ? 'solved' : 'submitted' };
+}
@@ -0,0 +1,400 @@
+// morse-digits.js
+// Shared by the Morbit and Pollux pages, which both turn the quote into Morse (see
+// CipherEngine.generateMorseSequence) and write its symbols as digits. The <body>
+// tag says which cipher the page is (data-puzzle, also used for saving progress).
+
+// How each cipher turns Morse into digits, and which part of the key a test gives away
+const MORSE_DIGIT_CIPHERS = {
+    morbit: {
+        digits: CipherEngine.MORBIT_DIGITS,
+        symbols: CipherEngine.MORBIT_PAIRS, // What a digit can stand for
+        uniqueSymbols: true,                // Every digit stands for a different pair
+        generateKey: random => CipherEngine.generateMorbitKey(random),
+        encode: (morse, key) => CipherEngine.encodeMorbit(morse, key),
+        decode: (digits, key) => CipherEngine.decodeMorbit(digits, key),
+        // Tests give four of the nine pairs
+        pickHintDigits: (key, random) => CipherEngine.shuffle(CipherEngine.MORBIT_DIGITS.split(''), random).slice(0, 4)
+    },
+    pollux: {
+        digits: CipherEngine.POLLUX_DIGITS,
+        symbols: CipherEngine.POLLUX_SYMBOLS,
+        uniqueSymbols: false,
+        generateKey: random => CipherEngine.generatePolluxKey(random),
+        encode: (morse, key, random) => CipherEngine.encodePollux(morse, key, random),
+        decode: (digits, key) => CipherEngine.decodePollux(digits, key),
+        // Tests give two digits for each of dot, dash and separator
+        pickHintDigits: (key, random) => CipherEngine.POLLUX_SYMBOLS.flatMap(symbol => CipherEngine.shuffle(
+            CipherEngine.POLLUX_DIGITS.split('').filter(digit => key[digit] === symbol), random).slice(0, 2))
+    }
+};
+// Which quotes to draw from (see quotes.js); longer quotes make tediously long solve puzzles
+const QUOTE_OPTIONS = { language: 'english', maxLetters: 60 };
+const CIPHER_GROUP_SIZE = 5; // Ciphertext digits are shown in groups of five
+
+// --- Global State ---
+const puzzleId = document.body.dataset.puzzle;
+const cipher = MORSE_DIGIT_CIPHERS[puzzleId];
+
+let quoteBank = [];         // Every quote in the bank (see quotes.js)
+let currentQuote = null;    // The bank entry the puzzle was made from
+let currentSeed = '';       // Seed the current puzzle was generated from (see share.js)
+let currentPlaintext = '';  // Normalized plaintext, without spaces
+let currentCiphertext = ''; // The ciphertext digits
+let correctKey = {};        // { Digit: Symbol } (a Morse pair for Morbit)
+let expectedMorse = '';     // The Morse the ciphertext decodes to, padding included
+let hintDigits = [];        // Digits whose symbols are given
+let puzzlePointValue = 0;   // Full point value of the current puzzle
+let puzzleFinished = false; // Set once the puzzle has been scored (solved, submitted or given up)
+let puzzleResult = null;    // The scoring result once the puzzle is finished
+
+// --- Elements ---
+const cipherDisplay = document.getElementById('cipher-display');
+const hintDisplay = document.getElementById('hint-display');
+const keyTable = document.getElementById('key-table');
+const solveGrid = document.getElementById('solve-grid');
+const plaintextOutput = document.getElementById('plaintext-output');
+const scoreArea = document.getElementById('score-area');
+const messageArea = document.getElementById('message-area');
+const quoteFilters = document.getElementById('quote-filters');
+const quoteAttribution = document.getElementById('quote-attribution');
+
+document.addEventListener('DOMContentLoaded', async () => {
+    document.getElementById('new-puzzle-button').addEventListener('click', () => generateNewPuzzle());
+    document.getElementById('check-button').addEventListener('click', checkTable);
+    document.getElementById('submit-button').addEventListener('click', submitSolution);
+    document.getElementById('give-up-button').addEventListener('click', giveUp);
+    registerExamScorer(getExamResult);
+    registerProgress(puzzleId, getProgressState);
+
+    quoteBank = await loadQuoteBank();
+    renderQuoteFilters(quoteFilters, quoteBank, QUOTE_OPTIONS, () => generateNewPuzzle());
+    watchPuzzleHash(loadPuzzleFromHash);
+    loadPuzzleFromHash();
+});
+
+/**
+ * Generates a new puzzle: a random key, the quote's Morse written as digits, and a
+ * few of the key's digits given away as a hint.
+ * @param {string} [seed] - Seed for the puzzle's random choices; a fresh one is made if omitted.
+ * @param {string} [quoteId] - The id of the bank quote to use, from a shared link or saved puzzle.
+ */
+function generateNewPuzzle(seed = newPuzzleSeed(), quoteId) {
+    const random = CipherEngine.createRandom(seed);
+    currentSeed = seed;
+
+    currentQuote = pickQuote(quoteBank, QUOTE_OPTIONS, random, quoteId);
+    currentPlaintext = CipherEngine.normalizeText(currentQuote.text);
+    puzzlePointValue = calculatePointValue(currentPlaintext);
+    puzzleFinished = false;
+    puzzleResult = null;
+    showQuoteAttribution(quoteAttribution, null);
+
+    correctKey = cipher.generateKey(random);
+    currentCiphertext = cipher.encode(CipherEngine.generateMorseSequence(currentQuote.text), correctKey, random);
+    expectedMorse = cipher.decode(currentCiphertext, correctKey);
+    hintDigits = cipher.pickHintDigits(correctKey, random).sort();
+    cipherDisplay.textContent = currentCiphertext.match(new RegExp(`.{1,${CIPHER_GROUP_SIZE}}`, 'g')).join(' ');
+
+    renderKeyTable();
+    renderSolveGrid();
+    updateScoreArea();
+    updateDecoding();
+    messageArea.textContent = 'Use the hint to fill in the rest of the key table, then read off the message.';
+    messageArea.style.color = '#007bff';
+
+    writePuzzleHash({ seed, quote: getQuoteId(currentQuote) });
+    startSolveTimer();
+    saveProgress();
+}
+
+/**
+ * Rebuilds the puzzle described by the URL hash (a shared link), or starts a new one if there is none.
+ * A puzzle saved in localStorage is resumed unless the link points to a different puzzle.
+ */
+function loadPuzzleFromHash() {
+    const shared = readPuzzleHash();
+    const saved = loadProgress();
+    if (saved && (!shared || shared.seed === saved.seed)) {
+        restoreProgress(saved);
+        return;
+    }
+    generateNewPuzzle(shared ? shared.seed : undefined, shared ? shared.quote : undefined);
+    warnIfQuoteMissing(messageArea);
+}
+
+// --- Key Table ---
+
+/**
+ * Renders the key table: one column per digit, with an input for the symbol it
+ * stands for. The hinted digits are filled in and locked.
+ */
+function renderKeyTable() {
+    const givenSymbols = cipher.symbols.map(symbol => {
+        const digits = hintDigits.filter(digit => correctKey[digit] === symbol);
+        return digits.length > 0 ? `${digits.join(', ')} = <strong>${symbol}</strong>` : '';
+    }).filter(text => text.length > 0);
+    hintDisplay.innerHTML = `Hint: ${givenSymbols.join('; ')}`;
+
+    const symbolLength = cipher.symbols[0].length;
+    const digitRow = `<tr>${cipher.digits.split('').map(digit => `<th>${digit}</th>`).join('')}</tr>`;
+    const inputRow = `<tr>${cipher.digits.split('').map(digit => {
+        const given = hintDigits.includes(digit);
+        return `<td><input type="text" maxlength="${symbolLength}" data-digit="${digit}"${given ? ` value="${correctKey[digit]}" class="hint" disabled` : ''}></td>`;
+    }).join('')}</tr>`;
+    keyTable.innerHTML = digitRow + inputRow;
+    keyTable.querySelectorAll('input').forEach(input => input.addEventListener('input', handleTableInput));
+}
+
+/**
+ * Renders one cell per ciphertext digit, with room for the Morse it stands for.
+ */
+function renderSolveGrid() {
+    solveGrid.innerHTML = '';
+    currentCiphertext.split('').forEach(digit => {
+        const cell = document.createElement('div');
+        cell.className = 'solve-cell';
+        cell.innerHTML = `<span class="cipher-digit">${digit}</span><span class="morse"></span>`;
+        solveGrid.appendChild(cell);
+    });
+}
+
+/**
+ * Reads the key table as the user filled it in, hinted digits included.
+ * @returns {string[]} One entry per digit, in table order ('' where blank).
+ */
+function getTableSymbols() {
+    return [...keyTable.querySelectorAll('input')].map(input => input.value);
+}
+
+/**
+ * Fills in the key table. Hinted digits keep their given symbols.
+ * @param {string[]} symbols - One entry per digit, in table order.
+ */
+function setTableSymbols(symbols) {
+    keyTable.querySelectorAll('input').forEach((input, i) => {
+        if (!input.classList.contains('hint')) input.value = symbols[i] || '';
+    });
+}
+
+/**
+ * Locks the key table once the puzzle is scored; the hinted digits are already locked.
+ */
+function lockKeyTable() {
+    keyTable.querySelectorAll('input:not(.hint)').forEach(input => input.disabled = true);
+}
+
+/**
+ * Reads the user's table as a key, leaving out entries that are not a complete symbol.
+ * @returns {Object} { Digit: Symbol }
+ */
+function getUserKey() {
+    const key = {};
+    keyTable.querySelectorAll('input').forEach(input => {
+        if (cipher.symbols.includes(input.value)) key[input.dataset.digit] = input.value;
+    });
+    return key;
+}
+
+/**
+ * Decodes the ciphertext with the user's table.
+ * @returns {string} The Morse sequence, with '?' for digits not in the table yet.
+ */
+function getUserMorse() {
+    return cipher.decode(currentCiphertext, getUserKey());
+}
+
+/**
+ * Handles typing in the key table: keeps only Morse symbols, updates the decoding
+ * and finishes the puzzle once the table decodes the whole ciphertext.
+ * @param {Event} event - The input event.
+ */
+function handleTableInput(event) {
+    if (puzzleFinished) return;
+    const input = event.target;
+    input.value = input.value.toUpperCase().replace(/[^.\-X]/g, '');
+    input.classList.remove('correct', 'incorrect');
+    updateDecoding();
+    saveProgress();
+
+    if (getUserMorse() === expectedMorse) {
+        messageArea.textContent = 'CONGRATULATIONS! Puzzle Solved!';
+        messageArea.style.color = 'green';
+        finishPuzzle(0, 'solved');
+    }
+}
+
+/**
+ * Shows the Morse under each ciphertext digit and the plaintext it spells, and
+ * (for Morbit) flags pairs entered under more than one digit.
+ */
+function updateDecoding() {
+    if (cipher.uniqueSymbols) {
+        const symbols = getTableSymbols();
+        keyTable.querySelectorAll('input').forEach(input => {
+            const repeated = cipher.symbols.includes(input.value) && symbols.indexOf(input.value) !== symbols.lastIndexOf(input.value);
+            input.classList.toggle('conflict', repeated);
+        });
+    }
+
+    const userMorse = getUserMorse();
+    const symbolLength = cipher.symbols[0].length;
+    solveGrid.querySelectorAll('.morse').forEach((span, i) => {
+        span.textContent = userMorse.substr(i * symbolLength, symbolLength);
+    });
+    plaintextOutput.textContent = CipherEngine.decodeMorseSequence(userMorse).plaintext;
+}
+
+/**
+ * Marks the filled-in table entries right or wrong and says how many are wrong.
+ */
+function checkTable() {
+    let wrong = 0;
+    keyTable.querySelectorAll('input:not(.hint)').forEach(input => {
+        if (!input.value) return;
+        const correct = input.value === correctKey[input.dataset.digit];
+        input.classList.toggle('correct', correct);
+        input.classList.toggle('incorrect', !correct);
+        if (!correct) wrong++;
+    });
+
+    if (puzzleFinished) return;
+    messageArea.textContent = wrong === 0
+        ? 'Everything filled in so far is correct. Keep going!'
+        : `${wrong} ${wrong === 1 ? 'table entry is' : 'table entries are'} wrong (marked in red).`;
+    messageArea.style.color = wrong === 0 ? '#28a745' : '#dc3545';
+}
+
+// --- Saving and Scoring ---
+
+/**
+ * Shows the puzzle's point value, or its score once it has been finished.
+ * @param {Object} [result] - The scoring result { pointValue, errors, hintsUsed, score, gaveUp }.
+ */
+function updateScoreArea(result) {
+    if (result) {
+        scoreArea.textContent = describeScore(result);
+    } else {
+        scoreArea.textContent = `Puzzle value: ${puzzlePointValue} points`;
+    }
+}
+
+/**
+ * Scores the puzzle and locks in the result. Giving up always scores zero.
+ * @param {number} errors - Number of wrongly decoded plaintext letters.
+ * @param {string} status - 'solved', 'submitted' or 'gave-up'.
+ * @returns {Object} The scoring result.
+ */
+function finishPuzzle(errors, status) {
+    const gaveUp = status === 'gave-up';
+    const result = {
+        pointValue: puzzlePointValue,
+        errors,
+        hintsUsed: 0,
+        score: gaveUp ? 0 : calculateScore(puzzlePointValue, errors, 0),
+        gaveUp,
+        status
+    };
+    puzzleFinished = true;
+    puzzleResult = result;
+    lockKeyTable();
+    updateScoreArea(result);
+    showQuoteAttribution(quoteAttribution, currentQuote);
+    recordSolve({ seed: currentSeed, status, hintsUsed: 0, score: result.score, pointValue: puzzlePointValue });
+    saveProgress();
+    reportExamResult();
+    return result;
+}
+
+/**
+ * Scores the table as it stands: each plaintext letter it decodes wrongly (or not
+ * at all) counts as an error.
+ */
+function submitSolution() {
+    if (puzzleFinished) return;
+    const errors = CipherEngine.countMorseLetterErrors(expectedMorse, getUserMorse());
+    const result = finishPuzzle(errors, 'submitted');
+    checkTable();
+    messageArea.textContent = result.score > 0
+        ? 'Submitted! See your score above.'
+        : 'Submitted - too many errors for points this time.';
+    messageArea.style.color = result.score > 0 ? 'green' : '#dc3545';
+}
+
+/**
+ * Gives up on the puzzle for no points and reveals the key.
+ */
+function giveUp() {
+    if (!puzzleFinished) {
+        finishPuzzle(0, 'gave-up');
+    }
+    showSolution();
+    messageArea.textContent = 'Solution revealed.';
+    messageArea.style.color = '#dc3545';
+}
+
+/**
+ * Fills the key table with the correct key and decodes the message.
+ */
+function showSolution() {
+    setTableSymbols(cipher.digits.split('').map(digit => correctKey[digit]));
+    updateDecoding();
+    saveProgress();
+}
+
+/**
+ * Describes the current puzzle and the user's work on it, for saving (see progress.js).
+ * @returns {Object} { seed, quote, table, result }
+ */
+function getProgressState() {
+    return {
+        seed: currentSeed,
+        quote: getQuoteId(currentQuote),
+        table: getTableSymbols(),
+        result: puzzleResult
+    };
+}
+
+/**
+ * Rebuilds a saved puzzle and puts back the user's key table, score and solve time.
+ * @param {Object} saved - The state saved from getProgressState.
+ */
+function restoreProgress(saved) {
+    generateNewPuzzle(saved.seed, saved.quote);
+    setTableSymbols(saved.table || []);
+    updateDecoding();
+    puzzleResult = saved.result || null;
+    puzzleFinished = puzzleResult !== null;
+    updateScoreArea(puzzleResult);
+    startSolveTimer(saved.elapsed || 0);
+
+    if (puzzleFinished) {
+        stopSolveTimer();
+        lockKeyTable();
+        showQuoteAttribution(quoteAttribution, currentQuote);
+        if (puzzleResult.gaveUp) {
+            showSolution();
+        }
+        messageArea.textContent = 'This puzzle is finished. Click "New Puzzle" to try another.';
+        messageArea.style.color = puzzleResult.score > 0 ? 'green' : '#dc3545';
+    } else {
+        messageArea.textContent = 'Welcome back! Your key table has been restored.';
+        messageArea.style.color = '#007bff';
+    }
+    saveProgress();
+}
+
+/**
+ * Reports this puzzle's result to the practice test runner (see exam.js).
+ * When the test ends, unfinished tables are submitted as they stand.
+ * @param {Object} options - { final: boolean }
+ * @returns {Object} { score, pointValue, status }
+ */
+function getExamResult({ final }) {
+    if (final && !puzzleFinished) {
+        submitSolution();
+    }
+    if (!puzzleResult) {
+        return { score: 0, pointValue: puzzlePointValue, status: 'unanswered' };
+    }
+    return { score: puzzleResult.score, pointValue: puzzleResult.pointValue, status: puzzleResult.status };
+}
@@ -0,0 +1,169 @@
+// progress.js
+// Keeps each cipher page's in-progress puzzle in localStorage so a reload picks
+// up where the user left off, and records a per-cipher history of finished puzzles.
+// Pages running as practice test questions (see exam.js) save nothing.
+
+const PROGRESS_KEY_PREFIX = 'codebusters-progress-'; // + cipher id
+const HISTORY_KEY = 'codebusters-history';
+const MAX_HISTORY_ENTRIES = 500; // Oldest entries are dropped beyond this
+
+let progressCipherId = null; // Cipher id from CIPHER_TYPES, set by registerProgress
+let progressGetter = null;   // Page callback returning the state to save
+let solveStartedAt = 0;      // Timestamp (ms) when the solve timer was last started
+let solveElapsedBefore = 0;  // Seconds accumulated before solveStartedAt
+let solveTimerRunning = false;
+
+/**
+ * Reads and parses a JSON value from localStorage.
+ * @param {string} key - The storage key.
+ * @param {*} fallback - Returned when the key is missing or unreadable.
+ * @returns {*} The stored value or the fallback.
+ */
+function readStorage(key, fallback) {
+    try {
+        const value = JSON.parse(localStorage.getItem(key));
+        return value === null ? fallback : value;
+    } catch (error) {
+        console.error(`Could not read ${key}:`, error);
+        return fallback;
+    }
+}
+
+/**
+ * Serializes a value into localStorage. Failures (private mode, full storage) are logged and ignored.
+ * @param {string} key - The storage key.
+ * @param {*} value - The value to store.
+ */
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.error(`Could not save ${key}:`, error);
+    }
+}
+
+// --- In-Progress State ---
+
+/**
+ * Registers the callback that describes the page's current puzzle. The state is
+ * saved whenever the page calls saveProgress, and when the page is closed.
+ * @param {string} cipherId - The page's id in CIPHER_TYPES.
+ * @param {Function} getState - Returns a JSON-serializable object; it must include the puzzle seed.
+ */
+function registerProgress(cipherId, getState) {
+    progressCipherId = cipherId;
+    progressGetter = getState;
+    window.addEventListener('pagehide', saveProgress);
+}
+
+/**
+ * Saves the page's current state, with the elapsed solve time added as `elapsed`.
+ */
+function saveProgress() {
+    if (EXAM_MODE || !progressGetter) return;
+    writeStorage(PROGRESS_KEY_PREFIX + progressCipherId, { ...progressGetter(), elapsed: getElapsedSeconds() });
+}
+
+/**
+ * Loads the state saved by saveProgress.
+ * @returns {Object|null} The saved state, or null if there is none (always null in exam mode).
+ */
+function loadProgress() {
+    if (EXAM_MODE || !progressCipherId) return null;
+    return readStorage(PROGRESS_KEY_PREFIX + progressCipherId, null);
+}
+
+// --- Solve Timer ---
+
+/**
+ * Starts (or restarts) the solve timer.
+ * @param {number} [elapsedSeconds=0] - Time already spent, when resuming a saved puzzle.
+ */
+function startSolveTimer(elapsedSeconds = 0) {
+    solveElapsedBefore = elapsedSeconds;
+    solveStartedAt = Date.now();
+    solveTimerRunning = true;
+}
+
+/**
+ * Stops the solve timer, freezing the elapsed time.
+ */
+function stopSolveTimer() {
+    solveElapsedBefore = getElapsedSeconds();
+    solveTimerRunning = false;
+}
+
+/**
+ * Returns the time spent on the current puzzle.
+ * @returns {number} Elapsed seconds, rounded to the nearest second.
+ */
+function getElapsedSeconds() {
+    const running = solveTimerRunning ? (Date.now() - solveStartedAt) / 1000 : 0;
+    return Math.round(solveElapsedBefore + running);
+}
+
+// --- Solve History ---
+
+/**
+ * Stops the solve timer and adds a finished puzzle to the history.
+ * @param {Object} entry - { seed, status, hintsUsed, score, pointValue }, where status is
+ *                         'solved', 'submitted' or 'gave-up'.
+ */
+function recordSolve(entry) {
+    stopSolveTimer();
+    if (EXAM_MODE || !progressCipherId) return;
+
+    const history = getSolveHistory();
+    history.push({
+        cipher: progressCipherId,
+        date: new Date().toISOString(),
+        solveTime: getElapsedSeconds(),
+        gaveUp: entry.status === 'gave-up',
+        ...entry
+    });
+    writeStorage(HISTORY_KEY, history.slice(-MAX_HISTORY_ENTRIES));
+}
+
+/**
+ * Returns the recorded solves, oldest first.
+ * @param {string} [cipherId] - Only return solves of this cipher.
+ * @returns {Object[]} Entries { cipher, date, seed, status, solveTime, hintsUsed, gaveUp, score, pointValue }.
+ */
+function getSolveHistory(cipherId) {
+    const history = readStorage(HISTORY_KEY, []);
+    return cipherId ? history.filter(entry => entry.cipher === cipherId) : history;
+}
+
+/**
+ * Serializes the whole solve history for download.
+ * @returns {string} JSON text: { version, exportedAt, history }.
+ */
+function exportSolveHistory() {
+    return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), history: getSolveHistory() }, null, 2);
+}
+
+/**
+ * Merges solve history from an exported file into the stored history.
+ * Entries that are already stored (same cipher, date and seed) are skipped.
+ * @param {string} text - JSON text from exportSolveHistory, or a bare array of entries.
+ * @returns {number} The number of entries added.
+ * @throws {Error} If the text is not a solve history export.
+ */
+function importSolveHistory(text) {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data) ? data : data && data.history;
+    const isEntry = entry => entry && typeof entry.cipher === 'string' && typeof entry.date === 'string' &&
+        typeof entry.status === 'string' && typeof entry.solveTime === 'number';
+    if (!Array.isArray(entries) || !entries.every(isEntry)) {
+        throw new Error('This file is not a Codebusters solve history export.');
+    }
+
+    const history = getSolveHistory();
+    const entryKey = entry => `${entry.cipher}|${entry.date}|${entry.seed}`;
+    const known = new Set(history.map(entryKey));
+    const added = entries.filter(entry => !known.has(entryKey(entry)));
+
+    const merged = [...history, ...added].sort((a, b) => a.date.localeCompare(b.date));
+    writeStorage(HISTORY_KEY, merged.slice(-MAX_HISTORY_ENTRIES));
+    return added.length;
+}
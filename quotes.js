@@ -0,0 +1,400 @@
+// quotes.js
+// The quote bank every quote-based page draws its plaintext from: the built-in
+// quotes.json plus any quotes a coach has imported, which are kept in localStorage.
+// A quote is { text, author, language, tags, difficulty }, where language is a key
+// of CipherEngine.LANGUAGE_PACKS and difficulty ('easy', 'medium' or 'hard') is
+// optional; quotes without one are rated by estimateQuoteDifficulty. The length and
+// difficulty filters are shared by every page and saved in localStorage (see progress.js
+// for readStorage/writeStorage, so load this after it).
+
+const QUOTE_BANK_FILE = 'quotes.json';
+const CUSTOM_QUOTES_KEY = 'codebusters-custom-quotes'; // Imported quotes
+const QUOTE_FILTERS_KEY = 'codebusters-quote-filters'; // { minLetters, maxLetters, difficulty }
+const QUOTE_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const QUOTE_CSV_COLUMNS = ['text', 'author', 'language', 'tags', 'difficulty'];
+
+// Used when quotes.json cannot be loaded (e.g. the page was opened from disk)
+const FALLBACK_QUOTES = [
+    { text: 'Cryptography is the study of secure communication', author: '', language: 'english', tags: ['cryptography'] },
+    { text: 'A journey of a thousand miles begins with a single step', author: 'Lao Tzu', language: 'english', tags: ['motivation'] },
+    { text: 'The secret of getting ahead is getting started', author: 'Mark Twain', language: 'english', tags: ['motivation'] },
+    { text: 'Where there is a will there is a way', author: '', language: 'english', tags: ['proverb'] }
+];
+
+// --- Loading ---
+
+/**
+ * Loads the built-in quotes (or the fallback list if they can't be fetched) and
+ * adds the imported ones.
+ * @returns {Promise<Object[]>} Every quote in the bank.
+ */
+async function loadQuoteBank() {
+    let builtIn;
+    try {
+        const response = await fetch(QUOTE_BANK_FILE);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        builtIn = await response.json();
+    } catch (error) {
+        console.error('Could not load quotes, using the built-in fallback:', error);
+        builtIn = FALLBACK_QUOTES;
+    }
+    return builtIn.concat(getCustomQuotes());
+}
+
+/**
+ * Reads the quotes imported on this browser.
+ * @returns {Object[]} The imported quotes.
+ */
+function getCustomQuotes() {
+    return readStorage(CUSTOM_QUOTES_KEY, []);
+}
+
+// --- Filtering ---
+
+/**
+ * Counts the letters in a quote, ignoring spaces and punctuation.
+ * @param {string} text - The quote.
+ * @returns {number} The number of letters.
+ */
+function countQuoteLetters(text) {
+    return (text.match(/\p{L}/gu) || []).length;
+}
+
+/**
+ * Rates a quote for quotes that don't carry a difficulty of their own. Longer quotes
+ * take more work on every cipher, and long words and rare letters slow solvers down.
+ * @param {string} text - The quote.
+ * @returns {string} 'easy', 'medium' or 'hard'.
+ */
+function estimateQuoteDifficulty(text) {
+    const letters = countQuoteLetters(text);
+    const words = text.split(/\s+/).filter(word => /\p{L}/u.test(word));
+    const averageWordLength = letters / Math.max(words.length, 1);
+    const rareLetters = (text.toUpperCase().match(/[JQXZ]/g) || []).length;
+
+    if (letters > 100 || averageWordLength > 5.5 || rareLetters > 2) return 'hard';
+    if (letters <= 45 && averageWordLength <= 4.5 && rareLetters === 0) return 'easy';
+    return 'medium';
+}
+
+/**
+ * The quote's difficulty: its own if it has one, otherwise the estimate.
+ * @param {Object} quote - A quote from the bank.
+ * @returns {string} 'easy', 'medium' or 'hard'.
+ */
+function getQuoteDifficulty(quote) {
+    return quote.difficulty || estimateQuoteDifficulty(quote.text);
+}
+
+/**
+ * Reads the user's quote filters.
+ * @returns {Object} { minLetters, maxLetters, difficulty }, where 0 means no length
+ *     limit and '' any difficulty.
+ */
+function getQuoteFilters() {
+    return { minLetters: 0, maxLetters: 0, difficulty: '', ...readStorage(QUOTE_FILTERS_KEY, {}) };
+}
+
+/**
+ * Picks out the quotes a page can use: those in its language and within its length
+ * limit, narrowed by the user's filters. If the filters leave nothing, they are
+ * ignored rather than leaving the page without a puzzle.
+ * @param {Object[]} bank - The quote bank.
+ * @param {Object} [options] - { language (default 'english'), maxLetters: the page's
+ *     own limit, e.g. for ciphers that get tedious on long quotes, rateDifficulty: for
+ *     pages that rate their own puzzles, a function giving a quote's difficulty in
+ *     place of getQuoteDifficulty }
+ * @returns {Object} { quotes, filtered: false if the user's filters had to be ignored }
+ */
+function selectQuotes(bank, { language = 'english', maxLetters = Infinity, rateDifficulty = getQuoteDifficulty } = {}) {
+    const usable = bank.filter(quote => quote.language === language && countQuoteLetters(quote.text) <= maxLetters);
+    const filters = getQuoteFilters();
+    const quotes = usable.filter(quote => {
+        const letters = countQuoteLetters(quote.text);
+        return letters >= (filters.minLetters || 0) &&
+            letters <= (filters.maxLetters || Infinity) &&
+            (!filters.difficulty || rateDifficulty(quote) === filters.difficulty);
+    });
+    return quotes.length > 0 ? { quotes, filtered: true } : { quotes: usable, filtered: false };
+}
+
+/**
+ * Gives a quote an id that stays the same however the bank is ordered, so shared
+ * links and saved puzzles still find it after quotes are added or imported. The id
+ * is an FNV-1a hash of the quote's language and text (case and spacing ignored).
+ * @param {Object} quote - A quote from the bank.
+ * @returns {string} The id, e.g. '1k3f9qz'.
+ */
+function getQuoteId(quote) {
+    const key = `${quote.language}:${quote.text.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+    let hash = 0x811c9dc5;
+    for (const char of key) {
+        hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+let quoteMissing = false; // Set when pickQuote could not find the quote it was asked for
+
+/**
+ * Picks a puzzle's quote. A quote id from a shared link or saved puzzle (see
+ * getQuoteId) is used if the page can use that quote, since the filters that
+ * narrowed the choice may differ; otherwise the seed picks from the quotes matching
+ * the filters. One random number is drawn either way, so the rest of the puzzle
+ * comes out the same.
+ * @param {Object[]} bank - The quote bank.
+ * @param {Object} pageOptions - The page's options for selectQuotes.
+ * @param {Function} random - The puzzle's seeded random number generator.
+ * @param {string} [quoteId] - The id of the quote to reuse, if any.
+ * @returns {Object} The quote.
+ */
+function pickQuote(bank, pageOptions, random, quoteId) {
+    const picked = CipherEngine.pickRandom(selectQuotes(bank, pageOptions).quotes, random);
+    const { language = 'english', maxLetters = Infinity } = pageOptions;
+    const reused = quoteId ? bank.find(quote => getQuoteId(quote) === quoteId) : null;
+    quoteMissing = Boolean(quoteId) && !reused;
+    if (reused && reused.language === language && countQuoteLetters(reused.text) <= maxLetters) {
+        return reused;
+    }
+    return picked;
+}
+
+/**
+ * Warns that a shared link's quote was not in this browser's bank (e.g. a coach
+ * imported it on another computer), so the puzzle was built on a different quote.
+ * Pages call this after loading a link.
+ * @param {HTMLElement} messageArea - The page's message element.
+ */
+function warnIfQuoteMissing(messageArea) {
+    if (!quoteMissing) return;
+    messageArea.textContent = 'The quote in this link is not in your quote bank (it may have been imported on another computer), so a different quote is used.';
+    messageArea.style.color = '#dc3545';
+}
+
+/**
+ * Renders the length and difficulty filters into a page. Changes are saved for every
+ * page and reported through onChange, so the page can start a new puzzle.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {Object[]} bank - The quote bank, for showing how many quotes match.
+ * @param {Object} pageOptions - The page's options for selectQuotes.
+ * @param {Function} onChange - Called after the filters change.
+ */
+function renderQuoteFilters(container, bank, pageOptions, onChange) {
+    const filters = getQuoteFilters();
+    container.innerHTML = `
+        <label>Quote length:
+            <input type="number" class="quote-min-input" min="0" placeholder="any" value="${filters.minLetters || ''}">
+            to
+            <input type="number" class="quote-max-input" min="0" placeholder="any" value="${filters.maxLetters || ''}">
+            letters
+        </label>
+        <label>Difficulty:
+            <select class="quote-difficulty-select">
+                <option value="">Any</option>
+                ${QUOTE_DIFFICULTIES.map(level => `<option value="${level}">${level[0].toUpperCase()}${level.slice(1)}</option>`).join('')}
+            </select>
+        </label>
+        <span class="quote-filter-count"></span>`;
+
+    const minInput = container.querySelector('.quote-min-input');
+    const maxInput = container.querySelector('.quote-max-input');
+    const difficultySelect = container.querySelector('.quote-difficulty-select');
+    const countLabel = container.querySelector('.quote-filter-count');
+    difficultySelect.value = filters.difficulty;
+
+    const showCount = () => {
+        const { quotes, filtered } = selectQuotes(bank, pageOptions);
+        countLabel.textContent = filtered
+            ? `${quotes.length} ${quotes.length === 1 ? 'quote matches' : 'quotes match'}`
+            : 'No quotes match, so any quote may be used';
+    };
+    const update = () => {
+        writeStorage(QUOTE_FILTERS_KEY, {
+            minLetters: parseInt(minInput.value, 10) || 0,
+            maxLetters: parseInt(maxInput.value, 10) || 0,
+            difficulty: difficultySelect.value
+        });
+        showCount();
+        onChange();
+    };
+    [minInput, maxInput, difficultySelect].forEach(element => element.addEventListener('change', update));
+    showCount();
+}
+
+/**
+ * Shows who said a quote, for once the puzzle is over. Quotes without an author hide the line.
+ * @param {HTMLElement} element - The attribution element.
+ * @param {Object|null} quote - The puzzle's quote, or null to hide the attribution.
+ */
+function showQuoteAttribution(element, quote) {
+    if (quote && quote.author) {
+        element.textContent = `— ${quote.author}`;
+        element.style.display = 'block';
+    } else {
+        element.textContent = '';
+        element.style.display = 'none';
+    }
+}
+
+/**
+ * Shows a puzzle's difficulty rating, with the factors behind it in the tooltip.
+ * @param {HTMLElement} element - The difficulty element.
+ * @param {Object} rating - From CipherEngine.rateSubstitutionDifficulty.
+ */
+function showPuzzleDifficulty(element, { score, level, factors }) {
+    element.textContent = `Difficulty: ${level[0].toUpperCase()}${level.slice(1)} (${score}/100)`;
+    element.className = `puzzle-difficulty ${level}`;
+    element.title = 'What makes it hard (0 = easy, 1 = hard): ' +
+        `length ${factors.length.toFixed(2)}, distinct letters ${factors.distinct.toFixed(2)}, ` +
+        `few pattern words ${factors.patterns.toFixed(2)}, unusual letter frequencies ${factors.frequency.toFixed(2)}`;
+}
+
+// --- Importing ---
+
+/**
+ * Splits CSV text into rows of fields. Fields may be quoted, with "" for a quote mark
+ * and commas or line breaks inside.
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows; blank lines are skipped.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Checks one imported entry and tidies it into a quote.
+ * @param {Object} entry - The entry as read from the file.
+ * @returns {Object} { quote } if the entry is valid, otherwise { error }.
+ */
+function validateQuote(entry) {
+    if (!entry || typeof entry !== 'object') {
+        return { error: 'is not a quote object' };
+    }
+    const text = typeof entry.text === 'string' ? entry.text.trim() : '';
+    if (countQuoteLetters(text) === 0) {
+        return { error: 'has no quote text' };
+    }
+    const language = String(entry.language || 'english').trim().toLowerCase();
+    if (!CipherEngine.LANGUAGE_PACKS[language]) {
+        return { error: `has an unknown language "${language}" (use ${Object.keys(CipherEngine.LANGUAGE_PACKS).join(' or ')})` };
+    }
+    const difficulty = String(entry.difficulty || '').trim().toLowerCase();
+    if (difficulty && !QUOTE_DIFFICULTIES.includes(difficulty)) {
+        return { error: `has an unknown difficulty "${difficulty}" (use ${QUOTE_DIFFICULTIES.join(', ')})` };
+    }
+    const tags = Array.isArray(entry.tags) ? entry.tags : String(entry.tags || '').split(/[;|]/);
+
+    const quote = {
+        text,
+        author: String(entry.author || '').trim(),
+        language,
+        tags: tags.map(tag => String(tag).trim()).filter(tag => tag)
+    };
+    if (difficulty) {
+        quote.difficulty = difficulty;
+    }
+    return { quote };
+}
+
+/**
+ * Reads quotes from an imported JSON or CSV file. JSON is an array of quote objects;
+ * CSV has a header row naming its columns (text is required; author, language, tags
+ * separated by ; and difficulty are optional).
+ * @param {string} text - The file's contents.
+ * @param {string} fileName - The file's name; a .csv extension means CSV.
+ * @returns {Object} { quotes, errors }, where errors describe the entries left out.
+ */
+function parseQuoteFile(text, fileName) {
+    let entries;
+    if (/\.csv$/i.test(fileName)) {
+        const [header, ...rows] = parseCsv(text);
+        const columns = (header || []).map(name => name.trim().toLowerCase());
+        if (!columns.includes('text')) {
+            throw new Error('The CSV header must include a "text" column.');
+        }
+        const unknown = columns.filter(name => !QUOTE_CSV_COLUMNS.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown CSV column(s): ${unknown.join(', ')}.`);
+        }
+        entries = rows.map(fields => Object.fromEntries(columns.map((name, i) => [name, fields[i] || ''])));
+    } else {
+        entries = JSON.parse(text);
+        if (!Array.isArray(entries)) {
+            throw new Error('The JSON file must hold an array of quotes.');
+        }
+    }
+
+    const quotes = [];
+    const errors = [];
+    entries.forEach((entry, i) => {
+        const { quote, error } = validateQuote(entry);
+        if (quote) {
+            quotes.push(quote);
+        } else {
+            errors.push(`Entry ${i + 1} ${error}.`);
+        }
+    });
+    return { quotes, errors };
+}
+
+/**
+ * Adds an imported file's valid quotes to this browser's bank, skipping any already there.
+ * @param {string} text - The file's contents.
+ * @param {string} fileName - The file's name.
+ * @returns {Object} { added, errors } - How many quotes were added and what was left out.
+ */
+function importCustomQuotes(text, fileName) {
+    const { quotes, errors } = parseQuoteFile(text, fileName);
+    const existing = getCustomQuotes();
+    const known = new Set(existing.map(quote => `${quote.language}:${quote.text}`));
+    const added = quotes.filter(quote => {
+        const id = `${quote.language}:${quote.text}`;
+        if (known.has(id)) return false;
+        known.add(id);
+        return true;
+    });
+    writeStorage(CUSTOM_QUOTES_KEY, existing.concat(added));
+    return { added: added.length, errors };
+}
+
+/**
+ * Removes every imported quote from this browser's bank.
+ */
+function clearCustomQuotes() {
+    writeStorage(CUSTOM_QUOTES_KEY, []);
+}
@@ -0,0 +1,91 @@
+// scoring.js
+// Science Olympiad-style scoring shared by the cipher practice pages.
+
+const FREE_ERRORS = 2;      // Wrong letters allowed before any penalty applies
+const ERROR_PENALTY = 100;  // Points lost for each wrong letter beyond the free errors
+const HINT_PENALTY = 50;    // Points lost for each hint used
+
+/**
+ * Works out a puzzle's point value from its length: longer quotes are worth more.
+ * Values are rounded to the nearest 25 points and kept between 150 and 500.
+ * @param {string} plaintext - The puzzle's plaintext.
+ * @returns {number} The point value.
+ */
+function calculatePointValue(plaintext) {
+    const letterCount = (plaintext.match(/\p{L}/gu) || []).length;
+    const rawValue = Math.round((100 + letterCount * 3) / 25) * 25;
+    return Math.min(500, Math.max(150, rawValue));
+}
+
+/**
+ * Counts the wrong letters in an answer. Blanks count as errors.
+ * @param {string} expected - The correct letters, in order.
+ * @param {string} guessed - The submitted letters, in the same order ('' or '_' for blanks).
+ * @returns {number} The number of positions that do not match.
+ */
+function countErrors(expected, guessed) {
+    let errors = 0;
+    for (let i = 0; i < expected.length; i++) {
+        if (guessed[i] !== expected[i]) {
+            errors++;
+        }
+    }
+    return errors;
+}
+
+/**
+ * Scores a submission: two free errors, then a penalty per wrong letter, plus a penalty per hint.
+ * @param {number} pointValue - The puzzle's full point value.
+ * @param {number} errors - Number of wrong letters.
+ * @param {number} hintsUsed - Number of hints taken.
+ * @returns {number} The score, never below zero.
+ */
+function calculateScore(pointValue, errors, hintsUsed) {
+    const errorPenalty = Math.max(0, errors - FREE_ERRORS) * ERROR_PENALTY;
+    const hintPenalty = hintsUsed * HINT_PENALTY;
+    return Math.max(0, pointValue - errorPenalty - hintPenalty);
+}
+
+/**
+ * Scores an answer against the expected letters in one step.
+ * @param {string} expected - The correct letters, in order.
+ * @param {string} guessed - The submitted letters, in the same order.
+ * @param {number} pointValue - The puzzle's full point value.
+ * @param {number} [hintsUsed=0] - Number of hints taken.
+ * @returns {Object} { pointValue, errors, hintsUsed, score }
+ */
+function scoreAnswer(expected, guessed, pointValue, hintsUsed = 0) {
+    const errors = countErrors(expected, guessed);
+    return { pointValue, errors, hintsUsed, score: calculateScore(pointValue, errors, hintsUsed) };
+}
+
+/**
+ * Picks a random cipher letter from the puzzle that the user has not mapped correctly yet.
+ * @param {string} ciphertext - The puzzle ciphertext.
+ * @param {Object} key - The correct mapping { CipherLetter: PlainLetter }.
+ * @param {Object} guesses - The user's mapping { CipherLetter: PlainLetter }.
+ * @returns {string|null} The cipher letter to reveal, or null if everything is already correct.
+ */
+function pickHintLetter(ciphertext, key, guesses) {
+    const candidates = [...new Set(ciphertext.split(''))].filter(
+        char => key[char] && guesses[char] !== key[char]
+    );
+    if (candidates.length === 0) return null;
+    return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+/**
+ * Builds the one-line summary shown after a puzzle is scored.
+ * @param {Object} result - { pointValue, errors, hintsUsed, score, gaveUp }.
+ * @returns {string} The summary text.
+ */
+function describeScore(result) {
+    if (result.gaveUp) {
+        return `Score: 0 / ${result.pointValue} points (gave up).`;
+    }
+    const parts = [`${result.errors} error${result.errors === 1 ? '' : 's'}`];
+    if (result.hintsUsed > 0) {
+        parts.push(`${result.hintsUsed} hint${result.hintsUsed === 1 ? '' : 's'}`);
+    }
+    return `Score: ${result.score} / ${result.pointValue} points (${parts.join(', ')}).`;
+}
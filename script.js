@@ -1,47 +1,77 @@
 // script.js
+// Shared by the Aristocrat and Xenocrypt pages. The <body> tag says which puzzle
+// the page is (data-puzzle, used for saving progress) and which language pack
+// to use (data-language, see CipherEngine.LANGUAGE_PACKS).
 
 // --- Global State ---
 let currentCiphertext = '';
 let currentPlaintext = ''; // The original quote used to generate the cipher
 let substitutionMap = {};  // Stores current user guesses: { 'CipherLetter': 'PlainLetter' }
 let correctKey = {};       // Stores the correct mapping: { 'CipherLetter': 'PlainLetter' }
-let loadedPuzzles = [];    // Will store the quotes fetched from puzzles.json
+let quoteBank = [];        // Every quote in the bank (see quotes.js)
+let currentQuote = null;   // The bank entry the puzzle was made from
+let currentDifficulty = null; // The puzzle's rating from CipherEngine.rateSubstitutionDifficulty
 let frequencyMap = {};     // NEW: Stores letter frequencies: { 'A': 15, 'B': 2, ... }
+let currentKeyType = 'random'; // 'random', 'K1', 'K2' or 'K3'
+let currentKeyword = '';   // The keyword behind a K1/K2/K3 key ('' for random keys)
+let puzzlePointValue = 0;  // Full point value of the current puzzle
+let hintsUsed = 0;         // Number of hints taken on the current puzzle
+let puzzleFinished = false; // Set once the puzzle has been scored (solved, submitted or given up)
+let puzzleResult = null;   // The scoring result once the puzzle is finished
+let currentSeed = '';      // Seed the current puzzle was generated from (see share.js)
+let patternIndex = {};     // The language's word list grouped by letter pattern: { 'ABCA': ['THAT', ...] }
+let selectedWord = null;   // The cipher word being looked up: { start, end } positions in the ciphertext
+let ngramScorer = null;    // Scores decryptions for the solver; loaded the first time it's needed
+let solverKey = null;      // The solver's best key for the current puzzle: { 'CipherLetter': 'PlainLetter' }
 
 // --- Elements ---
 const puzzleGridDisplay = document.getElementById('puzzle-grid-display'); // New element ID
 const clearButton = document.getElementById('clear-button');
 const newPuzzleButton = document.getElementById('new-puzzle-button');
 const giveUpButton = document.getElementById('give-up-button'); // New button element
+const hintButton = document.getElementById('hint-button');
+const submitButton = document.getElementById('submit-button');
+const suggestButton = document.getElementById('suggest-button');
+const scoreArea = document.getElementById('score-area');
 const mappingGrid = document.getElementById('mapping-grid');
 const messageArea = document.getElementById('message-area');
+const keyTypeSelect = document.getElementById('key-type-select');
+const keywordArea = document.getElementById('keyword-area');
+const keywordLabel = document.getElementById('keyword-label');
+const keywordAnswerInput = document.getElementById('keyword-answer-input');
+const wordSuggestions = document.getElementById('word-suggestions');
+const analysisContent = document.getElementById('analysis-content');
+const quoteFilters = document.getElementById('quote-filters');
+const quoteAttribution = document.getElementById('quote-attribution');
+const puzzleDifficulty = document.getElementById('puzzle-difficulty');
 
-const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const languagePack = CipherEngine.getLanguagePack(document.body.dataset.language);
+const ALPHABET = languagePack.alphabet;
+
+// Which quotes the page draws from (see selectQuotes in quotes.js); the difficulty
+// filter goes by the rating a puzzle on the quote would get
+const QUOTE_OPTIONS = { language: document.body.dataset.language, rateDifficulty: quote => ratePuzzle(quote.text).level };
+
+// Keywords used to build K1/K2/K3 keyed alphabets
+const KEYWORD_BANK = languagePack.keywords;
+
+// Most pattern-word suggestions listed at once
+const MAX_WORD_SUGGESTIONS = 40;
 
 // --- Utility Functions ---
 
 /**
- * Loads the list of puzzles from the external JSON file.
+ * Loads the quote bank and checks it has quotes in the page's language.
  */
 async function loadPuzzles() {
-    try {
-        messageArea.textContent = 'Loading puzzles...';
-        // Use fetch to get the JSON file
-        const response = await fetch('puzzles.json');
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        // Parse the JSON data into the loadedPuzzles array
-        loadedPuzzles = await response.json();
-        
+    messageArea.textContent = 'Loading puzzles...';
+    quoteBank = await loadQuoteBank();
+
+    if (selectQuotes(quoteBank, QUOTE_OPTIONS).quotes.length > 0) {
         messageArea.textContent = 'Puzzles loaded successfully! Click "Generate New Cipher" to start!';
         messageArea.style.color = 'green';
-
-    } catch (error) {
-        console.error("Could not load puzzles:", error);
-        messageArea.textContent = 'ERROR: Could not load puzzles. Check console for details.';
+    } else {
+        messageArea.textContent = `ERROR: No ${languagePack.name} quotes could be loaded. Check console for details.`;
         messageArea.style.color = 'red';
         // Disable buttons if loading fails
         newPuzzleButton.disabled = true;
@@ -49,6 +79,46 @@ async function loadPuzzles() {
     }
 }
 
+/**
+ * Loads the language's word list for the pattern-word lookup. The puzzle still
+ * works without it; clicking a word just finds no suggestions.
+ */
+async function loadWordList() {
+    try {
+        const response = await fetch(languagePack.wordFile);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        patternIndex = CipherEngine.buildPatternIndex(await response.json());
+    } catch (error) {
+        console.error("Could not load the word list:", error);
+    }
+}
+
+/**
+ * Loads the language's n-gram table (with word breaks) for the solver, once.
+ * @returns {Promise<Object>} The scorer from CipherEngine.buildNgramScorer.
+ */
+async function loadNgramScorer() {
+    if (!ngramScorer) {
+        const response = await fetch(languagePack.ngramFile);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        ngramScorer = CipherEngine.buildNgramScorer((await response.json()).words, ALPHABET);
+    }
+    return ngramScorer;
+}
+
+/**
+ * Rates how hard a puzzle on a plaintext would be, using the word list for pattern words.
+ * @param {string} plaintext - The plaintext.
+ * @returns {Object} The rating from CipherEngine.rateSubstitutionDifficulty.
+ */
+function ratePuzzle(plaintext) {
+    return CipherEngine.rateSubstitutionDifficulty(plaintext, languagePack, { patternIndex });
+}
+
 /**
  * Calculates the frequency of each letter in the current ciphertext.
  */
@@ -67,71 +137,23 @@ function calculateFrequency() {
 }
 
 /**
- * Shuffles the letters of the alphabet to create a substitution key,
- * ensuring it is a DERANGEMENT (no letter maps to itself: C -> C).
- * @returns {Object} A substitution map { CipherLetter: PlainLetter }
+ * Keeps only the letters of the puzzle's alphabet.
+ * @param {string} text - Uppercase text.
+ * @returns {string} The letters.
  */
-function generateRandomKey() {
-    const cipherSource = ALPHABET.split('');
-    // Start with a random shuffle
-    let plainTarget = [...ALPHABET].sort(() => Math.random() - 0.5);
-    
-    // Ensure the key is a Derangement (no letter maps to itself: C -> C)
-    let hasFixedPoints = true;
-    while(hasFixedPoints) {
-        hasFixedPoints = false;
-        
-        for (let i = 0; i < ALPHABET.length; i++) {
-            // Check for a fixed point (Cipher 'A' maps to Plain 'A')
-            if (cipherSource[i] === plainTarget[i]) {
-                hasFixedPoints = true;
-                
-                // Find a simple swap: swap with the next letter to break the fixed point
-                let j = (i + 1) % ALPHABET.length;
-                
-                // Perform the swap
-                [plainTarget[i], plainTarget[j]] = [plainTarget[j], plainTarget[i]];
-                
-                // After the swap, we break and check the whole array again in the next while loop iteration
-                break; 
-            }
-        }
-    }
-    
-    // Now convert the derangement array back into the map
-    const keyMap = {};
-    for(let i = 0; i < 26; i++) {
-        // keyMap will look like: { 'A': 'Q', 'B': 'Z', ... }
-        keyMap[cipherSource[i]] = plainTarget[i];
-    }
-    return keyMap;
+function lettersOnly(text) {
+    return text.split('').filter(char => ALPHABET.includes(char)).join('');
 }
 
 /**
- * Encrypts a message using the solution key by inverting it.
- * @param {string} text - The plaintext message.
- * @param {Object} key - The substitution map { CipherLetter: PlainLetter }.
- * @returns {string} The ciphertext.
+ * Normalizes a keyword answer for comparison (uppercase letters only, duplicates removed).
+ * @param {string} keyword - The keyword as typed or stored.
+ * @returns {string} The normalized keyword.
  */
-function encryptMessage(text, key) {
-    // We need the reverse mapping (Plain -> Cipher) to encrypt
-    const inverseKey = {};
-    for (const [cipher, plain] of Object.entries(key)) {
-        inverseKey[plain] = cipher;
-    }
-
-    return text.toUpperCase().split('').map(char => {
-        // Check if the character is a letter
-        if (ALPHABET.includes(char)) {
-            // Use the inverse key for encryption
-            return inverseKey[char] || char; 
-        }
-        // Keep spaces and punctuation as is
-        return char;
-    }).join('');
+function normalizeKeyword(keyword) {
+    return [...new Set(keyword.toUpperCase().split('').filter(char => ALPHABET.includes(char)))].join('');
 }
 
-
 // --- Core Logic ---
 
 /**
@@ -215,31 +237,69 @@ function handlePlainTextInput(event, cipherChar) {
     });
 
     updateMappingTable();
+    showWordSuggestions();
     checkSolution();
+    saveProgress();
 }
 
 
 /**
  * Initializes a new puzzle, setting up the key and ciphertext.
+ * @param {string} [seed] - Seed for the puzzle's random choices; a fresh one is made if omitted.
+ * @param {string} [quoteId] - The id of the bank quote to use, from a shared link or saved puzzle.
  */
-function generateNewPuzzle() {
-    if (loadedPuzzles.length === 0) {
+function generateNewPuzzle(seed = newPuzzleSeed(), quoteId) {
+    if (selectQuotes(quoteBank, QUOTE_OPTIONS).quotes.length === 0) {
         messageArea.textContent = 'Puzzles not loaded. Check console for fetch errors.';
         return;
     }
+    const random = CipherEngine.createRandom(seed);
+    currentSeed = seed;
     
-    // 1. Select a random quote from the loaded array
-    const rawQuote = loadedPuzzles[Math.floor(Math.random() * loadedPuzzles.length)];
-    currentPlaintext = rawQuote.toUpperCase();
+    // 1. Select a quote from the bank; accented letters are folded into the alphabet
+    currentQuote = pickQuote(quoteBank, QUOTE_OPTIONS, random, quoteId);
+    currentPlaintext = CipherEngine.foldAccents(currentQuote.text, languagePack);
+    currentDifficulty = ratePuzzle(currentPlaintext);
 
     // 2. Generate the CORRECT key and store it globally
-    correctKey = generateRandomKey(); // { CipherLetter: PlainLetter }
+    currentKeyType = keyTypeSelect.value;
+    currentKeyword = '';
+    correctKey = null;
+
+    if (currentKeyType !== 'random') {
+        // Pick keywords from the bank until one yields a key without fixed points
+        const keywords = CipherEngine.shuffle([...KEYWORD_BANK], random);
+        for (const keyword of keywords) {
+            correctKey = CipherEngine.generateKeyedKey(currentKeyType, keyword, ALPHABET, random);
+            if (correctKey) {
+                currentKeyword = keyword;
+                break;
+            }
+        }
+    }
+    if (!correctKey) {
+        currentKeyType = 'random';
+        correctKey = CipherEngine.generateRandomKey(ALPHABET, random); // { CipherLetter: PlainLetter }
+    }
 
     // 3. Encrypt the quote using the correct key 
-    currentCiphertext = encryptMessage(rawQuote, correctKey);
+    currentCiphertext = CipherEngine.encryptSubstitution(currentPlaintext, correctKey, ALPHABET);
 
     // 4. Reset state
     substitutionMap = {};
+    selectedWord = null;
+    solverKey = null;
+    showWordSuggestions();
+    keywordAnswerInput.value = '';
+    updateKeywordArea();
+    puzzlePointValue = calculatePointValue(currentPlaintext);
+    hintsUsed = 0;
+    puzzleFinished = false;
+    puzzleResult = null;
+    keywordAnswerInput.disabled = false;
+    updateScoreArea();
+    showPuzzleDifficulty(puzzleDifficulty, currentDifficulty);
+    showQuoteAttribution(quoteAttribution, null);
     
     // 5. Calculate frequency
     calculateFrequency();
@@ -247,8 +307,102 @@ function generateNewPuzzle() {
     // 6. Update the display
     renderPuzzleGrid();
     updateMappingTable();
+    renderAnalysis(analysisContent, {
+        ciphertext: currentCiphertext,
+        alphabet: ALPHABET,
+        frequencies: languagePack.frequencies,
+        languageName: languagePack.name,
+        wordBreaks: true,
+        grid: puzzleGridDisplay
+    });
+    writePuzzleHash({ seed, key: keyTypeSelect.value, quote: getQuoteId(currentQuote) });
     messageArea.textContent = 'New puzzle loaded! Start typing your guesses into the boxes.';
     messageArea.style.color = 'green';
+    startSolveTimer();
+    saveProgress();
+}
+
+/**
+ * Rebuilds the puzzle described by the URL hash (a shared link), or starts a new one if there is none.
+ * A puzzle saved in localStorage is resumed unless the link points to a different puzzle.
+ */
+function loadPuzzleFromHash() {
+    const shared = readPuzzleHash();
+    const saved = loadProgress();
+    if (saved && (!shared || (shared.seed === saved.seed && shared.key === saved.keyType))) {
+        restoreProgress(saved);
+        return;
+    }
+    if (!shared) {
+        generateNewPuzzle();
+        return;
+    }
+    if ([...keyTypeSelect.options].some(option => option.value === shared.key)) {
+        keyTypeSelect.value = shared.key;
+    }
+    generateNewPuzzle(shared.seed, shared.quote);
+    warnIfQuoteMissing(messageArea);
+}
+
+/**
+ * Describes the current puzzle and the user's work on it, for saving (see progress.js).
+ * @returns {Object} { seed, quote, keyType, guesses, keywordGuess, hintsUsed, result }
+ */
+function getProgressState() {
+    return {
+        seed: currentSeed,
+        quote: getQuoteId(currentQuote),
+        keyType: keyTypeSelect.value,
+        guesses: substitutionMap,
+        keywordGuess: keywordAnswerInput.value,
+        hintsUsed,
+        result: puzzleResult
+    };
+}
+
+/**
+ * Rebuilds a saved puzzle and puts back the user's guesses, hints, score and solve time.
+ * @param {Object} saved - The state saved from getProgressState.
+ */
+function restoreProgress(saved) {
+    if ([...keyTypeSelect.options].some(option => option.value === saved.keyType)) {
+        keyTypeSelect.value = saved.keyType;
+    }
+    generateNewPuzzle(saved.seed, saved.quote);
+
+    substitutionMap = saved.guesses || {};
+    keywordAnswerInput.value = saved.keywordGuess || '';
+    hintsUsed = saved.hintsUsed || 0;
+    puzzleResult = saved.result || null;
+    puzzleFinished = puzzleResult !== null;
+    keywordAnswerInput.disabled = puzzleFinished;
+    updateScoreArea(puzzleResult);
+    startSolveTimer(saved.elapsed || 0);
+    if (puzzleFinished) {
+        stopSolveTimer();
+        showQuoteAttribution(quoteAttribution, currentQuote);
+    }
+
+    renderPuzzleGrid();
+    updateMappingTable();
+    showWordSuggestions();
+    saveProgress();
+    messageArea.textContent = puzzleFinished
+        ? 'This puzzle is finished. Click "Generate New Cipher" to try a new one.'
+        : 'Welcome back! Your progress on this puzzle has been restored.';
+    messageArea.style.color = '#007bff';
+}
+
+/**
+ * Shows the keyword answer field for keyed (K1/K2/K3) puzzles and hides it for random keys.
+ */
+function updateKeywordArea() {
+    if (currentKeyword) {
+        keywordArea.style.display = 'flex';
+        keywordLabel.textContent = `Recover the Keyword (${currentKeyType} alphabet):`;
+    } else {
+        keywordArea.style.display = 'none';
+    }
 }
 
 /**
@@ -257,17 +411,23 @@ function generateNewPuzzle() {
 function renderPuzzleGrid() {
     puzzleGridDisplay.innerHTML = ''; // Clear previous content
     
-    currentCiphertext.split('').forEach(cipherChar => {
+    currentCiphertext.split('').forEach((cipherChar, position) => {
         if (ALPHABET.includes(cipherChar)) {
             // Create the letter-pair container (Cipher letter + Input box)
             const pairDiv = document.createElement('div');
             pairDiv.classList.add('letter-pair');
+            pairDiv.dataset.position = position; // Used to highlight letters from the analysis panel
             
             // 1. Cipher Letter (Top)
             const cipherSpan = document.createElement('span');
             cipherSpan.textContent = cipherChar;
             cipherSpan.classList.add('cipher-char');
+            cipherSpan.title = 'Click to look up words that fit';
+            cipherSpan.addEventListener('click', () => selectWord(position));
             pairDiv.appendChild(cipherSpan);
+            if (selectedWord && position >= selectedWord.start && position < selectedWord.end) {
+                pairDiv.classList.add('selected-word');
+            }
 
             // 2. Plaintext Input (Bottom)
             const plainInput = document.createElement('input');
@@ -276,6 +436,7 @@ function renderPuzzleGrid() {
             plainInput.setAttribute('data-cipher-char', cipherChar); 
             plainInput.classList.add('plain-input');
             plainInput.maxLength = 1;
+            plainInput.disabled = puzzleFinished;
             
             // Pre-fill if a mapping already exists
             plainInput.value = substitutionMap[cipherChar] || '';
@@ -294,29 +455,128 @@ function renderPuzzleGrid() {
             puzzleGridDisplay.appendChild(separatorSpan);
         }
     });
+    applyAnalysisHighlight();
 }
 
 
 /**
- * Updates the display of current substitutions and frequency (Key Table) in a three-row format.
+ * Finds the cipher word around a position in the ciphertext. Apostrophes inside a
+ * word (as in DON'T) are part of it.
+ * @param {number} position - Index of one of the word's letters.
+ * @returns {Object} { start, end } positions, end exclusive.
+ */
+function findWordAt(position) {
+    const isWordChar = index => ALPHABET.includes(currentCiphertext[index]) ||
+        (currentCiphertext[index] === "'" && ALPHABET.includes(currentCiphertext[index - 1] || '') &&
+            ALPHABET.includes(currentCiphertext[index + 1] || ''));
+    let start = position;
+    let end = position + 1;
+    while (start > 0 && isWordChar(start - 1)) start--;
+    while (end < currentCiphertext.length && isWordChar(end)) end++;
+    return { start, end };
+}
+
+/**
+ * Selects the cipher word containing a clicked letter and lists the words that could fit it.
+ * @param {number} position - Index of the clicked letter in the ciphertext.
+ */
+function selectWord(position) {
+    if (EXAM_MODE) return;
+    selectedWord = findWordAt(position);
+    renderPuzzleGrid();
+    showWordSuggestions();
+}
+
+/**
+ * Lists the word-list entries matching the selected cipher word's letter pattern,
+ * leaving out any that clash with the guesses made so far. Clicking one fills it in.
+ */
+function showWordSuggestions() {
+    wordSuggestions.innerHTML = '';
+    if (!selectedWord) {
+        wordSuggestions.textContent = 'Click a cipher word to list the words whose letter pattern fits it.';
+        return;
+    }
+
+    const cipherWord = lettersOnly(currentCiphertext.slice(selectedWord.start, selectedWord.end));
+    const matches = CipherEngine.findPatternMatches(cipherWord, patternIndex, substitutionMap);
+
+    const heading = document.createElement('div');
+    heading.classList.add('suggestions-heading');
+    heading.textContent = matches.length > 0
+        ? `${matches.length} word${matches.length === 1 ? '' : 's'} fit ${cipherWord} (pattern ${CipherEngine.getWordPattern(cipherWord)}):`
+        : `No ${languagePack.name} words in the list fit ${cipherWord} (pattern ${CipherEngine.getWordPattern(cipherWord)}) with your current guesses.`;
+    wordSuggestions.appendChild(heading);
+
+    matches.slice(0, MAX_WORD_SUGGESTIONS).forEach(word => {
+        const button = document.createElement('button');
+        button.classList.add('suggestion');
+        button.textContent = word;
+        button.addEventListener('click', () => applySuggestion(cipherWord, word));
+        wordSuggestions.appendChild(button);
+    });
+    if (matches.length > MAX_WORD_SUGGESTIONS) {
+        const more = document.createElement('span');
+        more.classList.add('suggestions-more');
+        more.textContent = `...and ${matches.length - MAX_WORD_SUGGESTIONS} more. Fill in a letter to narrow the list.`;
+        wordSuggestions.appendChild(more);
+    }
+}
+
+/**
+ * Fills in a suggested word as guesses for the selected cipher word's letters.
+ * Suggestions never clash with existing guesses, so nothing else changes.
+ * @param {string} cipherWord - The cipher word (letters only).
+ * @param {string} plainWord - The suggested plaintext word.
+ */
+function applySuggestion(cipherWord, plainWord) {
+    if (puzzleFinished) return;
+    cipherWord.split('').forEach((cipherChar, i) => {
+        substitutionMap[cipherChar] = plainWord[i];
+    });
+
+    renderPuzzleGrid();
+    updateMappingTable();
+    showWordSuggestions();
+    checkSolution();
+    saveProgress();
+}
+
+
+/**
+ * Updates the display of current substitutions and frequency (Key Table). Under the
+ * cipher counts, each column shows how common its guessed plaintext letter usually
+ * is in the puzzle's language, so unlikely guesses stand out.
  */
 function updateMappingTable() {
     mappingGrid.innerHTML = '';
     
-    // Create three main row containers
+    // Create the row containers, one column per letter of the alphabet
     const freqRow = document.createElement('div');
+    const expectedRow = document.createElement('div');
     const cipherRow = document.createElement('div');
     const plainRow = document.createElement('div');
 
     freqRow.classList.add('mapping-row', 'frequency-row');
+    expectedRow.classList.add('mapping-row', 'frequency-row', 'expected-row');
     cipherRow.classList.add('mapping-row', 'cipher-row');
     plainRow.classList.add('mapping-row', 'plain-row');
+    [freqRow, expectedRow, cipherRow, plainRow].forEach(row => {
+        row.style.gridTemplateColumns = `60px repeat(${ALPHABET.length}, 1fr)`;
+    });
 
     // 1. Frequency Row Label
     const freqLabel = document.createElement('div');
     freqLabel.classList.add('mapping-label');
     freqLabel.textContent = 'Count:';
     freqRow.appendChild(freqLabel);
+
+    // Expected Frequency Row Label
+    const expectedLabel = document.createElement('div');
+    expectedLabel.classList.add('mapping-label');
+    expectedLabel.textContent = `${languagePack.name} %:`;
+    expectedLabel.title = `How often the guessed plaintext letter appears in ${languagePack.name} text`;
+    expectedRow.appendChild(expectedLabel);
     
     // 2. Cipher Row Label
     const cipherLabel = document.createElement('div');
@@ -331,7 +591,7 @@ function updateMappingTable() {
     plainRow.appendChild(plainLabel);
 
 
-    // Populate the three rows with data for each letter A-Z
+    // Populate the rows with data for each letter of the alphabet
     ALPHABET.split('').forEach(cipher => {
         // Frequency Row Item
         const freqItem = document.createElement('div');
@@ -339,6 +599,12 @@ function updateMappingTable() {
         freqItem.textContent = frequencyMap[cipher] || 0;
         freqRow.appendChild(freqItem);
 
+        // Expected Frequency Row Item (for the guessed plaintext letter)
+        const expectedItem = document.createElement('div');
+        expectedItem.classList.add('mapping-cell');
+        expectedItem.textContent = substitutionMap[cipher] ? languagePack.frequencies[substitutionMap[cipher]] : '';
+        expectedRow.appendChild(expectedItem);
+
         // Cipher Row Item
         const cipherItem = document.createElement('div');
         cipherItem.classList.add('mapping-cell');
@@ -353,10 +619,20 @@ function updateMappingTable() {
         plainRow.appendChild(plainItem);
     });
 
+    // Reference list of the language's letters, most common first
+    const reference = document.createElement('div');
+    reference.classList.add('frequency-reference');
+    reference.textContent = `${languagePack.name} letter frequencies (%): ` + ALPHABET.split('')
+        .sort((a, b) => languagePack.frequencies[b] - languagePack.frequencies[a])
+        .map(letter => `${letter} ${languagePack.frequencies[letter]}`)
+        .join(' · ');
+
     // Append the rows to the grid container
     mappingGrid.appendChild(freqRow);
+    mappingGrid.appendChild(expectedRow);
     mappingGrid.appendChild(cipherRow);
     mappingGrid.appendChild(plainRow);
+    mappingGrid.appendChild(reference);
 }
 
 
@@ -373,12 +649,22 @@ function checkSolution() {
     }).join('');
 
     // Remove non-letters for comparison, ensure consistent casing
-    const cleanDecrypted = currentDecryptedText.replace(/[^A-Z]/g, '');
-    const cleanPlaintext = currentPlaintext.replace(/[^A-Z]/g, '');
+    const cleanDecrypted = lettersOnly(currentDecryptedText);
+    const cleanPlaintext = lettersOnly(currentPlaintext);
 
-    if (cleanDecrypted === cleanPlaintext && cleanPlaintext.length > 0) {
+    const plaintextSolved = cleanDecrypted === cleanPlaintext && cleanPlaintext.length > 0;
+    // Keyed puzzles are only finished once the keyword has been recovered too
+    const keywordSolved = !currentKeyword || normalizeKeyword(keywordAnswerInput.value) === normalizeKeyword(currentKeyword);
+
+    if (plaintextSolved && keywordSolved) {
         messageArea.textContent = 'CONGRATULATIONS! Puzzle Solved!';
         messageArea.style.color = 'green';
+        if (!puzzleFinished) {
+            finishPuzzle(0, 'solved');
+        }
+    } else if (plaintextSolved) {
+        messageArea.textContent = 'Plaintext solved! Now recover the keyword from the key table.';
+        messageArea.style.color = 'orange';
     } else {
         // Clear status message unless it's the conflict warning
         if (messageArea.textContent.includes('CONGRATULATIONS') || messageArea.textContent.includes('Conflict resolved')) {
@@ -389,16 +675,155 @@ function checkSolution() {
     }
 }
 
+/**
+ * Shows the current puzzle's point value and hint count, or its final score once finished.
+ * @param {Object} [result] - The scoring result { pointValue, errors, hintsUsed, score }.
+ */
+function updateScoreArea(result) {
+    if (result) {
+        scoreArea.textContent = describeScore(result);
+    } else {
+        scoreArea.textContent = `Puzzle value: ${puzzlePointValue} points | Hints used: ${hintsUsed} (-${HINT_PENALTY} each)`;
+    }
+}
+
+/**
+ * Scores the puzzle and locks in the result. Giving up always scores zero.
+ * @param {number} errors - Number of wrong letters in the final answer.
+ * @param {string} status - 'solved', 'submitted' or 'gave-up'.
+ * @returns {Object} The scoring result.
+ */
+function finishPuzzle(errors, status) {
+    const gaveUp = status === 'gave-up';
+    const result = {
+        pointValue: puzzlePointValue,
+        errors,
+        hintsUsed,
+        score: gaveUp ? 0 : calculateScore(puzzlePointValue, errors, hintsUsed),
+        gaveUp,
+        status
+    };
+    puzzleFinished = true;
+    puzzleResult = result;
+    document.querySelectorAll('.plain-input').forEach(input => input.disabled = true);
+    keywordAnswerInput.disabled = true;
+    updateScoreArea(result);
+    showQuoteAttribution(quoteAttribution, currentQuote);
+    recordSolve({ seed: currentSeed, status, hintsUsed, score: result.score, pointValue: puzzlePointValue });
+    saveProgress();
+    reportExamResult();
+    return result;
+}
+
+/**
+ * Reveals one correct letter of the key, at the cost of a hint penalty.
+ */
+function giveHint() {
+    if (!currentCiphertext || puzzleFinished) return;
+
+    const cipherChar = pickHintLetter(currentCiphertext, correctKey, substitutionMap);
+    if (!cipherChar) {
+        messageArea.textContent = 'Every letter is already correct - no hint needed!';
+        messageArea.style.color = '#007bff';
+        return;
+    }
+
+    const plainChar = correctKey[cipherChar];
+
+    // Free up the plaintext letter if another cipher letter is currently using it
+    const conflictCipher = Object.keys(substitutionMap).find(key => substitutionMap[key] === plainChar);
+    if (conflictCipher) {
+        delete substitutionMap[conflictCipher];
+    }
+    substitutionMap[cipherChar] = plainChar;
+    hintsUsed++;
+
+    renderPuzzleGrid();
+    updateMappingTable();
+    showWordSuggestions();
+    updateScoreArea();
+    checkSolution();
+    saveProgress();
+    if (!puzzleFinished) {
+        messageArea.textContent = `Hint: ${cipherChar} decodes to ${plainChar}.`;
+        messageArea.style.color = '#007bff';
+    }
+}
+
+/**
+ * Runs the automatic solver on the puzzle and suggests the next letter to fill in:
+ * the most common cipher letter the solver reads differently from the current guesses.
+ * Nothing is filled in, since the solver can be wrong on short quotes.
+ */
+async function suggestLetter() {
+    if (!currentCiphertext) return;
+
+    try {
+        if (!solverKey) {
+            messageArea.textContent = 'Solving...';
+            messageArea.style.color = '#6c757d';
+            solverKey = CipherEngine.solveSubstitution(currentCiphertext, await loadNgramScorer()).key;
+        }
+    } catch (error) {
+        console.error("Could not run the solver:", error);
+        messageArea.textContent = 'ERROR: Could not load the solver\'s letter statistics.';
+        messageArea.style.color = 'red';
+        return;
+    }
+
+    const cipherChar = ALPHABET.split('')
+        .filter(char => solverKey[char] && substitutionMap[char] !== solverKey[char])
+        .sort((a, b) => frequencyMap[b] - frequencyMap[a])[0];
+    if (!cipherChar) {
+        messageArea.textContent = 'The solver agrees with every letter you have filled in.';
+    } else if (substitutionMap[cipherChar]) {
+        messageArea.textContent = `Solver suggestion: ${cipherChar} may be ${solverKey[cipherChar]} rather than ${substitutionMap[cipherChar]}. It's a best guess from letter statistics, so check that it fits.`;
+    } else {
+        messageArea.textContent = `Solver suggestion: try ${cipherChar} as ${solverKey[cipherChar]}. It's a best guess from letter statistics, so check that it fits.`;
+    }
+    messageArea.style.color = '#007bff';
+}
+
+/**
+ * Scores the current guesses: every wrong or blank letter counts as an error.
+ * For keyed puzzles the keyword letters are scored along with the plaintext.
+ */
+function submitSolution() {
+    if (!currentCiphertext || puzzleFinished) return;
+
+    let expected = '';
+    let guessed = '';
+    currentCiphertext.split('').forEach(cipherChar => {
+        if (ALPHABET.includes(cipherChar)) {
+            expected += correctKey[cipherChar];
+            guessed += substitutionMap[cipherChar] || '_';
+        }
+    });
+    if (currentKeyword) {
+        expected += normalizeKeyword(currentKeyword);
+        guessed += normalizeKeyword(keywordAnswerInput.value);
+    }
+
+    const result = finishPuzzle(countErrors(expected, guessed), 'submitted');
+    messageArea.textContent = result.score > 0
+        ? 'Submitted! See your score below.'
+        : 'Submitted - too many errors for points this time.';
+    messageArea.style.color = result.score > 0 ? 'green' : '#dc3545';
+}
+
 /**
  * Clears all current substitution mappings.
  */
 function clearMappings() {
+    if (puzzleFinished) return;
     substitutionMap = {};
     messageArea.textContent = 'All mappings cleared. Start over!';
     messageArea.style.color = '#007bff';
     // Re-render the grid to clear all input boxes
     renderPuzzleGrid();
     updateMappingTable();
+    showWordSuggestions();
+    saveProgress();
 }
 
 /**
@@ -409,30 +834,68 @@ function giveUp() {
 
     // Set the user's map to the correct solution
     substitutionMap = { ...correctKey }; 
+    keywordAnswerInput.value = currentKeyword;
+
+    // Giving up scores nothing
+    if (!puzzleFinished) {
+        finishPuzzle(0, 'gave-up');
+    }
     
     // Update all displays
     renderPuzzleGrid(); 
     updateMappingTable();
+    showWordSuggestions();
     
     messageArea.textContent = 'Solution Revealed! Click "Generate New Cipher" to try a new puzzle.';
     messageArea.style.color = '#dc3545';
 }
 
 
+/**
+ * Reports this puzzle's result to the practice test runner (see exam.js).
+ * When the test ends, unfinished guesses are submitted as they stand.
+ * @param {Object} options - { final: boolean }
+ * @returns {Object} { score, pointValue, status }
+ */
+function getExamResult({ final }) {
+    if (final && !puzzleFinished) {
+        submitSolution();
+    }
+    if (!puzzleResult) {
+        return { score: 0, pointValue: puzzlePointValue, status: 'unanswered' };
+    }
+    return { score: puzzleResult.score, pointValue: puzzleResult.pointValue, status: puzzleResult.status };
+}
+
+registerExamScorer(getExamResult);
+registerProgress(document.body.dataset.puzzle, getProgressState);
+
+
 // --- Event Listeners ---
 document.addEventListener('DOMContentLoaded', async () => {
-    // 1. Load the puzzles first
+    // 1. Load the puzzles (and the word list for pattern lookups) first
     await loadPuzzles();
+    await loadWordList();
     
     // 2. Generate the first puzzle once data is ready
-    if (loadedPuzzles.length > 0) {
-        generateNewPuzzle();
+    if (selectQuotes(quoteBank, QUOTE_OPTIONS).quotes.length > 0) {
+        loadPuzzleFromHash();
     }
+    renderQuoteFilters(quoteFilters, quoteBank, QUOTE_OPTIONS, () => generateNewPuzzle());
     
     // Attach listeners to buttons
     clearButton.addEventListener('click', clearMappings);
-    newPuzzleButton.addEventListener('click', generateNewPuzzle);
+    newPuzzleButton.addEventListener('click', () => generateNewPuzzle());
     giveUpButton.addEventListener('click', giveUp); // Attach new listener
+    keyTypeSelect.addEventListener('change', () => generateNewPuzzle());
+    watchPuzzleHash(loadPuzzleFromHash);
+    hintButton.addEventListener('click', giveHint);
+    suggestButton.addEventListener('click', suggestLetter);
+    submitButton.addEventListener('click', submitSolution);
+    keywordAnswerInput.addEventListener('input', () => {
+        checkSolution();
+        saveProgress();
+    });
     
     // Initial check to ensure everything is rendered
     if (currentCiphertext) {
@@ -0,0 +1,73 @@
+// share.js
+// Shareable puzzle links. Each page builds its puzzle from a seed kept in the
+// URL hash (e.g. aristocrat.html#seed=k3x9q2&key=K2), so opening the same link
+// reproduces the same ciphertext and key.
+
+/**
+ * Makes a fresh seed for a new puzzle.
+ * @returns {string} A short random seed.
+ */
+function newPuzzleSeed() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Reads the puzzle parameters from the URL hash.
+ * @returns {Object|null} The parameters, e.g. { seed: 'k3x9q2', key: 'K2' }, or null if the hash has no seed.
+ */
+function readPuzzleHash() {
+    const params = Object.fromEntries(new URLSearchParams(window.location.hash.slice(1)));
+    return params.seed ? params : null;
+}
+
+let currentPuzzleHash = ''; // The hash this page last wrote for its own puzzle
+
+/**
+ * Records the current puzzle's parameters in the URL hash without adding a history entry.
+ * @param {Object} params - The parameters; must include the seed.
+ */
+function writePuzzleHash(params) {
+    currentPuzzleHash = new URLSearchParams(params).toString();
+    try {
+        history.replaceState(null, '', `#${currentPuzzleHash}`);
+    } catch (error) {
+        // Some browsers refuse replaceState on pages opened from file://
+        window.location.replace(`#${currentPuzzleHash}`);
+    }
+}
+
+/**
+ * Calls loadPuzzle whenever the hash changes to a different puzzle, e.g. when
+ * a shared link is pasted into a tab that already has the page open.
+ * @param {Function} loadPuzzle - Rebuilds the page's puzzle from the hash.
+ */
+function watchPuzzleHash(loadPuzzle) {
+    window.addEventListener('hashchange', () => {
+        if (window.location.hash.slice(1) !== currentPuzzleHash) {
+            loadPuzzle();
+        }
+    });
+}
+
+/**
+ * Copies the link to the current puzzle to the clipboard, or shows it for
+ * copying by hand where the clipboard is not available.
+ */
+async function sharePuzzle() {
+    const link = window.location.href;
+    const messageArea = document.getElementById('message-area');
+    try {
+        await navigator.clipboard.writeText(link);
+        messageArea.textContent = 'Puzzle link copied! Anyone who opens it gets this exact puzzle.';
+        messageArea.style.color = '#007bff';
+    } catch (error) {
+        window.prompt('Copy this link to share the puzzle:', link);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const shareButton = document.getElementById('share-button');
+    if (shareButton) {
+        shareButton.addEventListener('click', sharePuzzle);
+    }
+});
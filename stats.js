@@ -0,0 +1,107 @@
+// stats.js
+// Summaries of the solve history recorded by progress.js, for the home page dashboard.
+
+const MIN_ATTEMPTS_FOR_WEAKNESS = 3; // Ciphers tried fewer times are not ranked as weak spots
+
+/**
+ * Decides whether a history entry counts as solved: found by the checker, or
+ * submitted for a non-zero score.
+ * @param {Object} entry - A solve history entry.
+ * @returns {boolean} True if the puzzle was solved.
+ */
+function isSolved(entry) {
+    return entry.status === 'solved' || (entry.status === 'submitted' && entry.score > 0);
+}
+
+/**
+ * Formats a number of seconds as M:SS, or '-' when there is no time.
+ * @param {number|null} seconds - The duration in seconds.
+ * @returns {string} The formatted time.
+ */
+function formatSolveTime(seconds) {
+    if (seconds === null || seconds === undefined) return '-';
+    const wholeSeconds = Math.round(seconds);
+    return `${Math.floor(wholeSeconds / 60)}:${String(wholeSeconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Summarizes a list of history entries. Solve times only count solved puzzles.
+ * @param {Object[]} entries - Solve history entries.
+ * @returns {Object} { attempted, solved, gaveUp, solveRate, giveUpRate, averageTime, bestTime }
+ *                   (rates are 0-1; times are seconds, or null with no solves).
+ */
+function summarizeEntries(entries) {
+    const solvedTimes = entries.filter(isSolved).map(entry => entry.solveTime);
+    const gaveUp = entries.filter(entry => entry.gaveUp).length;
+    const attempted = entries.length;
+
+    return {
+        attempted,
+        solved: solvedTimes.length,
+        gaveUp,
+        solveRate: attempted ? solvedTimes.length / attempted : 0,
+        giveUpRate: attempted ? gaveUp / attempted : 0,
+        averageTime: solvedTimes.length ? solvedTimes.reduce((sum, time) => sum + time, 0) / solvedTimes.length : null,
+        bestTime: solvedTimes.length ? Math.min(...solvedTimes) : null
+    };
+}
+
+/**
+ * Summarizes the history separately for each cipher type.
+ * @param {Object[]} history - Solve history entries.
+ * @returns {Object} { cipherId: summary } for every cipher in CIPHER_TYPES.
+ */
+function summarizeByCipher(history) {
+    const summaries = {};
+    CIPHER_TYPES.forEach(type => {
+        summaries[type.id] = summarizeEntries(history.filter(entry => entry.cipher === type.id));
+    });
+    return summaries;
+}
+
+/**
+ * Returns the local calendar date of a timestamp as YYYY-MM-DD.
+ * @param {string} isoDate - An ISO 8601 timestamp.
+ * @returns {string} The date key.
+ */
+function toDateKey(isoDate) {
+    const date = new Date(isoDate);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Summarizes the most recent practice sessions, where a session is one day of practice.
+ * @param {Object[]} history - Solve history entries.
+ * @param {number} count - How many sessions to include.
+ * @returns {Object[]} Oldest first: { date, ...summary } (see summarizeEntries).
+ */
+function summarizeSessions(history, count) {
+    const sessions = new Map();
+    [...history].sort((a, b) => a.date.localeCompare(b.date)).forEach(entry => {
+        const key = toDateKey(entry.date);
+        if (!sessions.has(key)) sessions.set(key, []);
+        sessions.get(key).push(entry);
+    });
+
+    return [...sessions.entries()]
+        .slice(-count)
+        .map(([date, entries]) => ({ date, ...summarizeEntries(entries) }));
+}
+
+/**
+ * Ranks the cipher types the user struggles with most: lowest solve rate first,
+ * then slowest average time. Ciphers with too few attempts are left out.
+ * @param {Object} summaries - Output of summarizeByCipher.
+ * @param {number} [limit=3] - Maximum number of ciphers to return.
+ * @returns {Object[]} { type, summary } where type is the CIPHER_TYPES entry.
+ */
+function findWeakestCiphers(summaries, limit = 3) {
+    return CIPHER_TYPES
+        .map(type => ({ type, summary: summaries[type.id] }))
+        .filter(({ summary }) => summary.attempted >= MIN_ATTEMPTS_FOR_WEAKNESS && summary.solveRate < 1)
+        .sort((a, b) => (a.summary.solveRate - b.summary.solveRate) ||
+            ((b.summary.averageTime || 0) - (a.summary.averageTime || 0)))
+        .slice(0, limit);
+}
@@ -0,0 +1,252 @@
+// test.js
+// Runs a timed practice test. Each question is a cipher page loaded in exam
+// mode inside its own iframe (see exam.js); the questions and time limit come
+// from the query string written by the test builder on index.html.
+
+// --- Global State ---
+let questions = [];         // { cipher, frame, tab, timeSpent, result, finalReceived }
+let activeQuestion = -1;    // Index of the question currently on screen
+let activeSince = 0;        // Timestamp (ms) when the active question was opened
+let timeRemaining = 0;      // Seconds left on the countdown
+let timerInterval = null;
+let testFinished = false;
+
+// --- Elements ---
+const timerDisplay = document.getElementById('timer-display');
+const questionTabs = document.getElementById('question-tabs');
+const questionFrames = document.getElementById('question-frames');
+const finishButton = document.getElementById('finish-button');
+const examArea = document.getElementById('exam-area');
+const resultsArea = document.getElementById('results-area');
+const resultsBody = document.getElementById('results-body');
+const messageArea = document.getElementById('message-area');
+
+const MAX_QUESTIONS_PER_TYPE = 10;
+const DEFAULT_MINUTES = 50;
+const COLLECT_TIMEOUT_MS = 1500; // How long to wait for pages to report their final scores
+
+// --- Utility Functions ---
+
+/**
+ * Formats a number of seconds as M:SS.
+ * @param {number} seconds - The duration in seconds.
+ * @returns {string} The formatted time.
+ */
+function formatTime(seconds) {
+    const wholeSeconds = Math.max(0, Math.round(seconds));
+    const minutes = Math.floor(wholeSeconds / 60);
+    return `${minutes}:${String(wholeSeconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Reads the question counts and time limit from the query string.
+ * @returns {Object} { counts: { cipherId: number }, minutes: number }
+ */
+function readTestConfig() {
+    const params = new URLSearchParams(window.location.search);
+    const counts = {};
+    CIPHER_TYPES.forEach(type => {
+        const count = parseInt(params.get(type.id), 10) || 0;
+        counts[type.id] = Math.min(MAX_QUESTIONS_PER_TYPE, Math.max(0, count));
+    });
+    const minutes = parseInt(params.get('minutes'), 10);
+    return { counts, minutes: minutes > 0 ? minutes : DEFAULT_MINUTES };
+}
+
+// --- Core Logic ---
+
+/**
+ * Builds one tab and one iframe per question and starts the countdown.
+ */
+function startTest() {
+    const config = readTestConfig();
+
+    CIPHER_TYPES.forEach(type => {
+        for (let i = 0; i < config.counts[type.id]; i++) {
+            questions.push({ cipher: type, frame: null, tab: null, timeSpent: 0, result: null, finalReceived: false });
+        }
+    });
+
+    if (questions.length === 0) {
+        messageArea.textContent = 'No questions selected. Go back to the home page to build a test.';
+        messageArea.style.color = '#dc3545';
+        finishButton.disabled = true;
+        return;
+    }
+
+    questions.forEach((question, index) => {
+        const tab = document.createElement('button');
+        tab.className = 'question-tab';
+        tab.textContent = `Q${index + 1}: ${question.cipher.name}`;
+        tab.addEventListener('click', () => showQuestion(index));
+        questionTabs.appendChild(tab);
+
+        const frame = document.createElement('iframe');
+        frame.className = 'question-frame';
+        frame.title = `Question ${index + 1}: ${question.cipher.name}`;
+        // q only labels the frame's URL with its question number
+        frame.src = `${question.cipher.page}?exam=1&q=${index + 1}`;
+        questionFrames.appendChild(frame);
+
+        question.tab = tab;
+        question.frame = frame;
+    });
+
+    timeRemaining = config.minutes * 60;
+    updateTimerDisplay();
+    timerInterval = setInterval(tick, 1000);
+
+    showQuestion(0);
+    messageArea.textContent = `${questions.length} question${questions.length === 1 ? '' : 's'}, ${config.minutes} minutes. Good luck!`;
+    messageArea.style.color = '#007bff';
+}
+
+/**
+ * Adds the time since the active question was opened to its total.
+ */
+function recordActiveTime() {
+    if (activeQuestion === -1) return;
+    const now = Date.now();
+    questions[activeQuestion].timeSpent += (now - activeSince) / 1000;
+    activeSince = now;
+}
+
+/**
+ * Switches the visible question, charging the elapsed time to the previous one.
+ * @param {number} index - The question to show.
+ */
+function showQuestion(index) {
+    recordActiveTime();
+    activeQuestion = index;
+    activeSince = Date.now();
+
+    questions.forEach((question, i) => {
+        question.frame.style.display = i === index ? 'block' : 'none';
+        question.tab.classList.toggle('active', i === index);
+    });
+}
+
+/**
+ * Counts down one second and ends the test when time runs out.
+ */
+function tick() {
+    timeRemaining--;
+    updateTimerDisplay();
+    if (timeRemaining <= 0) {
+        finishTest();
+    }
+}
+
+/**
+ * Shows the remaining time, highlighting the last minute.
+ */
+function updateTimerDisplay() {
+    timerDisplay.textContent = formatTime(timeRemaining);
+    timerDisplay.classList.toggle('timer-warning', timeRemaining <= 60);
+}
+
+/**
+ * Marks a question's tab with its latest reported status.
+ * @param {Object} question - The question whose result changed.
+ */
+function updateTab(question) {
+    question.tab.classList.remove('status-solved', 'status-submitted', 'status-gave-up');
+    if (question.result && question.result.status !== 'unanswered') {
+        question.tab.classList.add(`status-${question.result.status}`);
+    }
+}
+
+/**
+ * Handles results and size updates posted by the question pages.
+ * @param {MessageEvent} event - The message event.
+ */
+function handleQuestionMessage(event) {
+    const question = questions.find(q => q.frame && q.frame.contentWindow === event.source);
+    if (!question || !event.data) return;
+
+    if (event.data.type === 'codebusters-exam-height') {
+        question.frame.style.height = `${event.data.height + 20}px`;
+    } else if (event.data.type === 'codebusters-exam-result' && !testFinished) {
+        question.result = event.data;
+        updateTab(question);
+    } else if (event.data.type === 'codebusters-exam-final') {
+        question.result = event.data;
+        question.finalReceived = true;
+    }
+}
+
+/**
+ * Stops the clock, asks every page for its final score and shows the results.
+ */
+function finishTest() {
+    if (testFinished) return;
+    testFinished = true;
+
+    clearInterval(timerInterval);
+    recordActiveTime();
+    activeQuestion = -1;
+    finishButton.disabled = true;
+    messageArea.textContent = 'Collecting answers...';
+
+    questions.forEach(question => {
+        question.frame.contentWindow.postMessage({ type: 'codebusters-exam-collect' }, '*');
+    });
+
+    // Show results once every page has answered, or after the timeout
+    const startedAt = Date.now();
+    const waitForResults = setInterval(() => {
+        const allIn = questions.every(question => question.finalReceived);
+        if (allIn || Date.now() - startedAt > COLLECT_TIMEOUT_MS) {
+            clearInterval(waitForResults);
+            showResults();
+        }
+    }, 100);
+}
+
+/**
+ * Renders the per-question score and time table.
+ */
+function showResults() {
+    examArea.style.display = 'none';
+    resultsArea.style.display = 'block';
+    messageArea.textContent = '';
+    resultsBody.innerHTML = '';
+
+    let totalScore = 0;
+    let totalPossible = 0;
+    let totalTime = 0;
+
+    questions.forEach((question, index) => {
+        const result = question.result || { score: 0, pointValue: 0, status: 'unanswered' };
+        totalScore += result.score;
+        totalPossible += result.pointValue;
+        totalTime += question.timeSpent;
+
+        const row = resultsBody.insertRow();
+        row.insertCell().textContent = `Q${index + 1}`;
+        row.insertCell().textContent = question.cipher.name;
+        row.insertCell().textContent = result.status.replace('-', ' ');
+        row.insertCell().textContent = `${result.score} / ${result.pointValue}`;
+        row.insertCell().textContent = formatTime(question.timeSpent);
+    });
+
+    const totalRow = resultsBody.insertRow();
+    totalRow.className = 'total-row';
+    totalRow.insertCell().textContent = 'Total';
+    totalRow.insertCell();
+    totalRow.insertCell();
+    totalRow.insertCell().textContent = `${totalScore} / ${totalPossible}`;
+    totalRow.insertCell().textContent = formatTime(totalTime);
+}
+
+
+// --- Event Listeners ---
+document.addEventListener('DOMContentLoaded', () => {
+    window.addEventListener('message', handleQuestionMessage);
+    finishButton.addEventListener('click', () => {
+        if (confirm('Finish the test now? Unfinished questions will be scored as they are.')) {
+            finishTest();
+        }
+    });
+    startTest();
+});
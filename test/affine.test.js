@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CipherEngine = require('../cipher-engine.js');
+
+test('multipliers are the twelve values coprime to 26', () => {
+    assert.deepEqual(CipherEngine.AFFINE_MULTIPLIERS, [1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23, 25]);
+    for (const a of CipherEngine.AFFINE_MULTIPLIERS) {
+        assert.equal(CipherEngine.mod(a * CipherEngine.modInverse(a)), 1);
+    }
+});
+
+test('modular helpers reduce negatives and reject non-invertible values', () => {
+    assert.equal(CipherEngine.mod(-3), 23);
+    assert.equal(CipherEngine.modInverse(5), 21);
+    assert.equal(CipherEngine.modInverse(2), null);
+    assert.equal(CipherEngine.modInverse(13), null);
+});
+
+test('the textbook a = 5, b = 8 example encrypts', () => {
+    const key = CipherEngine.buildAffineKey(5, 8);
+    assert.equal(CipherEngine.encryptSubstitution('AFFINE CIPHER', key), 'IHHWVC SWFRCP');
+    assert.equal(CipherEngine.decryptSubstitution('IHHWVC SWFRCP', key), 'AFFINE CIPHER');
+});
+
+test('every key round-trips', () => {
+    const plain = 'THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG';
+    for (const a of CipherEngine.AFFINE_MULTIPLIERS) {
+        for (const b of [0, 7, 25]) {
+            const key = CipherEngine.buildAffineKey(a, b);
+            assert.equal(CipherEngine.decryptSubstitution(CipherEngine.encryptSubstitution(plain, key), key), plain);
+        }
+    }
+});
+
+test('generated keys never use a = 1', () => {
+    const random = CipherEngine.createRandom('affine');
+    for (let i = 0; i < 50; i++) {
+        const { a, b } = CipherEngine.generateAffineKey(random);
+        assert.notEqual(a, 1);
+        assert.ok(CipherEngine.AFFINE_MULTIPLIERS.includes(a));
+        assert.ok(b >= 0 && b < 26);
+    }
+});
+
+test('two known letters recover the key', () => {
+    assert.deepEqual(CipherEngine.solveAffineKey('A', 'I', 'F', 'H'), { a: 5, b: 8 });
+    assert.deepEqual(CipherEngine.solveAffineKey('E', 'Q', 'T', 'R'), { a: 7, b: 14 });
+});
+
+test('letter pairs an even or thirteen apart cannot be solved', () => {
+    assert.equal(CipherEngine.solveAffineKey('A', 'I', 'C', 'S'), null);
+    assert.equal(CipherEngine.solveAffineKey('A', 'I', 'N', 'V'), null);
+});
+
+test('the modular inverse explanation ends with its check', () => {
+    const lines = CipherEngine.explainModInverse(5, 26);
+    assert.match(lines[lines.length - 2], /inverse is -5 \+ 26 = 21/);
+    assert.equal(lines[lines.length - 1], 'Check: 5 × 21 = 105 = 4 × 26 + 1.');
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CipherEngine = require('../cipher-engine.js');
+
+test('letters encode to the standard 24-letter Baconian groups', () => {
+    assert.deepEqual(CipherEngine.encodeBaconian('Bacon'), ['AAAAB', 'AAAAA', 'AAABA', 'ABBAB', 'ABBAA']);
+    assert.deepEqual(CipherEngine.encodeBaconian('z'), ['BABBB']);
+});
+
+test('encoding round-trips, with J and V reading back as I and U', () => {
+    const codes = CipherEngine.encodeBaconian('Francis Bacon');
+    assert.equal(CipherEngine.decodeBaconian(codes), 'FRANCISBACON');
+    assert.equal(CipherEngine.decodeBaconian(CipherEngine.encodeBaconian('JUVIUS')), 'IUUIUS');
+    assert.ok(CipherEngine.isSameBaconianLetter('J', 'I'));
+    assert.ok(CipherEngine.isSameBaconianLetter('V', 'U'));
+    assert.ok(!CipherEngine.isSameBaconianLetter('A', 'B'));
+});
+
+test('unknown groups decode to ?', () => {
+    assert.equal(CipherEngine.decodeBaconian(['AAAAA', 'BBBBB']), 'A?');
+});
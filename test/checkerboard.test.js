@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CipherEngine = require('../cipher-engine.js');
+
+const BOARD = CipherEngine.buildCheckerboard('ZEBRAS', [6, 2]);
+
+test('the keyed alphabet fills the top row around the sorted blanks', () => {
+    assert.deepEqual(BOARD.blanks, [2, 6]);
+    assert.deepEqual(BOARD.rows.map(row => row.join('')), ['ZEBRASCD', 'FGHIJKLMNO', 'PQTUVWXY./']);
+    assert.equal(BOARD.rows[0][2], '');
+    assert.equal(BOARD.rows[0][6], '');
+});
+
+test('top-row letters get one digit, lower rows get their blank digit first', () => {
+    const codes = CipherEngine.getCheckerboardCodes(BOARD);
+    assert.equal(Object.keys(codes).length, 28);
+    assert.equal(codes.Z, '0');
+    assert.equal(codes.D, '9');
+    assert.equal(codes.F, '20');
+    assert.equal(codes.T, '62');
+    assert.equal(codes['/'], '69');
+});
+
+test('plaintext encrypts to one code per letter', () => {
+    assert.deepEqual(CipherEngine.encryptCheckerboard('Attack at dawn', BOARD), ['5', '62', '62', '5', '8', '25', '5', '62', '9', '5', '65', '28']);
+});
+
+test('digits split on the blank-row digits and round-trip', () => {
+    const digits = CipherEngine.encryptCheckerboard('THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG', BOARD).join('');
+    assert.deepEqual(CipherEngine.splitCheckerboardDigits('3962', BOARD.blanks), ['3', '9', '62']);
+    assert.equal(CipherEngine.decryptCheckerboard(digits, BOARD), 'THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG');
+});
+
+test('a blank-row digit left at the end decodes to ?', () => {
+    assert.deepEqual(CipherEngine.splitCheckerboardDigits('12', BOARD.blanks), ['1', '2']);
+    assert.equal(CipherEngine.decryptCheckerboard('12', BOARD), 'E?');
+});
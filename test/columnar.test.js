@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CipherEngine = require('../cipher-engine.js');
+
+test('columns are read in alphabetical keyword order, repeats left to right', () => {
+    assert.deepEqual(CipherEngine.getColumnOrder('ZEBRAS'), [4, 2, 1, 3, 5, 0]);
+    assert.deepEqual(CipherEngine.getColumnOrder('BAB'), [1, 0, 2]);
+});
+
+test('the textbook ZEBRAS example encrypts with X padding', () => {
+    assert.equal(CipherEngine.encryptColumnar('WEAREDISCOVEREDFLEEATONCE', 'ZEBRAS'), 'EVLNXACDTXESEAXROFOXDEECXWIREE');
+});
+
+test('encryption round-trips, keeping the padding', () => {
+    const plain = 'ATTACKATDAWNONTHEEASTERNFRONT';
+    for (const key of ['KEY', 'CIPHER', 'PUZZLE', 'TRANSPOSITION']) {
+        const ciphertext = CipherEngine.encryptColumnar(plain, key);
+        assert.equal(CipherEngine.decryptColumnar(ciphertext, key).replace(/X+$/, ''), plain);
+    }
+});
+
+test('the solved arrangement reads the grid back in plaintext order', () => {
+    const ciphertext = CipherEngine.encryptColumnar('WEAREDISCOVEREDFLEEATONCE', 'ZEBRAS');
+    assert.equal(CipherEngine.splitColumns(ciphertext, 6)[0], 'EVLNX');
+    const arrangement = CipherEngine.getSolvedArrangement('ZEBRAS');
+    assert.equal(CipherEngine.readColumnarGrid(ciphertext, arrangement), 'WEAREDISCOVEREDFLEEATONCEXXXXX');
+});
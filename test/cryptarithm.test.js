@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CipherEngine = require('../cipher-engine.js');
+
+const SEND_MORE_MONEY = { D: 7, E: 5, Y: 2, N: 6, R: 8, O: 0, S: 9, M: 1 };
+
+test('words and numbers convert through a letter mapping', () => {
+    assert.equal(CipherEngine.wordToNumber('SEND', SEND_MORE_MONEY), 9567);
+    assert.ok(Number.isNaN(CipherEngine.wordToNumber('SENT', SEND_MORE_MONEY)));
+    assert.equal(CipherEngine.numberToWord(2031, 'BLACKSMITH'), 'ABCL');
+});
+
+test('SEND + MORE = MONEY has its one known solution', () => {
+    const puzzle = CipherEngine.buildWordCryptarithm(['SEND', 'MORE', 'MONEY']);
+    assert.deepEqual(puzzle.solution, SEND_MORE_MONEY);
+    assert.deepEqual(CipherEngine.solveCryptarithm(puzzle), [SEND_MORE_MONEY]);
+    assert.deepEqual(CipherEngine.getCryptarithmLetters(puzzle), ['D', 'E', 'M', 'N', 'O', 'R', 'S', 'Y']);
+    assert.deepEqual([...CipherEngine.getLeadingLetters(puzzle)].sort(), ['M', 'S']);
+});
+
+test('checking rejects wrong sums, missing letters and leading zeros', () => {
+    const puzzle = CipherEngine.buildWordCryptarithm(['SEND', 'MORE', 'MONEY']);
+    assert.ok(CipherEngine.checkCryptarithm(puzzle, SEND_MORE_MONEY));
+    assert.ok(!CipherEngine.checkCryptarithm(puzzle, { ...SEND_MORE_MONEY, D: 3 }));
+    const { Y, ...missingY } = SEND_MORE_MONEY;
+    assert.ok(!CipherEngine.checkCryptarithm(puzzle, missingY));
+    // 05 + 37 = 42 works as arithmetic, but AB cannot start with zero
+    const leadingZero = CipherEngine.buildWordCryptarithm(['AB', 'CD', 'EF']);
+    assert.ok(!CipherEngine.checkCryptarithm(leadingZero, { A: 0, B: 5, C: 3, D: 7, E: 4, F: 2 }));
+});
+
+test('every generated type has a unique solution that spells its key word', () => {
+    for (const type of CipherEngine.CRYPTARITHM_TYPES) {
+        const puzzle = CipherEngine.generateCryptarithm(type, CipherEngine.createRandom(`cryptarithm-${type}`));
+        assert.equal(puzzle.type, type);
+        assert.deepEqual(CipherEngine.solveCryptarithm(puzzle), [puzzle.solution]);
+        assert.ok(CipherEngine.checkCryptarithm(puzzle, puzzle.solution));
+        for (const [letter, digit] of Object.entries(puzzle.solution)) {
+            assert.equal(puzzle.keyWord[digit], letter);
+        }
+    }
+    assert.throws(() => CipherEngine.generateCryptarithm('square-root'), /Unknown cryptarithm type/);
+});
+
+test('the step-by-step explanation ends on the solution', () => {
+    for (const puzzle of [
+        CipherEngine.buildWordCryptarithm(['SEND', 'MORE', 'MONEY']),
+        CipherEngine.generateCryptarithm('division', CipherEngine.createRandom('explain-division'))
+    ]) {
+        const steps = CipherEngine.explainCryptarithm(puzzle);
+        const letters = CipherEngine.getCryptarithmLetters(puzzle);
+        assert.deepEqual(steps[0].letters, []);
+        for (const letter of letters) {
+            assert.equal(steps[0].candidates[letter].length, 10);
+        }
+        const last = steps[steps.length - 1].candidates;
+        for (const letter of letters) {
+            assert.deepEqual(last[letter], [puzzle.solution[letter]]);
+        }
+        // Candidates only ever narrow
+        for (let i = 1; i < steps.length; i++) {
+            assert.ok(steps[i].reason.length > 0);
+            for (const letter of letters) {
+                for (const digit of steps[i].candidates[letter]) {
+                    assert.ok(steps[i - 1].candidates[letter].includes(digit));
+                }
+            }
+        }
+    }
+});
+
+test('leading letters are ruled out as zero first', () => {
+    const steps = CipherEngine.explainCryptarithm(CipherEngine.buildWordCryptarithm(['SEND', 'MORE', 'MONEY']));
+    assert.deepEqual(steps[1].letters, ['M', 'S']);
+    assert.ok(!steps[1].candidates.M.includes(0));
+    assert.ok(!steps[1].candidates.S.includes(0));
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CipherEngine = require('../cipher-engine.js');
+
+const HILL = CipherEngine.buildHillMatrix('HILL', 2);
+
+test('keywords fill the matrix row by row', () => {
+    assert.deepEqual(HILL, [[7, 8], [11, 11]]);
+    assert.deepEqual(CipherEngine.buildHillMatrix('GYBNQKURP', 3), [[6, 24, 1], [13, 16, 10], [20, 17, 15]]);
+    assert.equal(CipherEngine.buildHillMatrix('HIL', 2), null);
+});
+
+test('the textbook 2x2 and 3x3 examples encrypt', () => {
+    assert.equal(CipherEngine.encryptHill('SHORTEXAMPLE', HILL), 'APADJTFTWLFJ');
+    assert.equal(CipherEngine.encryptHill('HELP', [[3, 3], [2, 5]]), 'HIAT');
+    assert.equal(CipherEngine.encryptHill('ACT', CipherEngine.buildHillMatrix('GYBNQKURP', 3)), 'POH');
+});
+
+test('inverse matrices are reduced mod 26', () => {
+    assert.equal(CipherEngine.matrixDeterminant(HILL), -11);
+    assert.deepEqual(CipherEngine.invertHillMatrix(HILL), [[25, 22], [1, 23]]);
+    assert.deepEqual(CipherEngine.invertHillMatrix([[3, 3], [2, 5]]), [[15, 17], [20, 9]]);
+});
+
+test('keys with an even determinant have no inverse', () => {
+    assert.equal(CipherEngine.invertHillMatrix([[2, 4], [6, 8]]), null);
+    assert.equal(CipherEngine.decryptHill('ABCD', [[2, 4], [6, 8]]), '');
+});
+
+test('odd-length plaintext is padded with Z', () => {
+    assert.equal(CipherEngine.padHillText('abc', 2), 'ABCZ');
+    assert.equal(CipherEngine.padHillText('Hello', 3), 'HELLOZ');
+});
+
+test('decryption round-trips, keeping the padding', () => {
+    const gybnqkurp = CipherEngine.buildHillMatrix('GYBNQKURP', 3);
+    assert.equal(CipherEngine.decryptHill('APADJTFTWLFJ', HILL), 'SHORTEXAMPLE');
+    assert.equal(CipherEngine.decryptHill('POH', gybnqkurp), 'ACT');
+    const ciphertext = CipherEngine.encryptHill('ATTACKATDAWN', gybnqkurp);
+    assert.equal(CipherEngine.decryptHill(ciphertext, gybnqkurp), 'ATTACKATDAWN');
+    assert.equal(CipherEngine.decryptHill(CipherEngine.encryptHill('HELLO', HILL), HILL), 'HELLOZ');
+});
+
+test('the inverse explanation ends on the decryption matrix', () => {
+    const steps = CipherEngine.explainHillInverse(HILL);
+    assert.deepEqual(steps[steps.length - 1].matrix, [[25, 22], [1, 23]]);
+});
+
+test('block explanations show each letter pair and its result', () => {
+    const blocks = CipherEngine.explainHillBlocks('SHOR', HILL);
+    assert.deepEqual(blocks.map(block => block.letters), ['SH', 'OR']);
+    assert.deepEqual(blocks[0].numbers, [18, 7]);
+    assert.deepEqual(blocks.map(block => block.result), ['AP', 'AD']);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CipherEngine = require('../cipher-engine.js');
+
+const MORSE = CipherEngine.generateMorseSequence('Come at once');
+const MORBIT_KEY = {};
+CipherEngine.MORBIT_PAIRS.forEach((pair, i) => { MORBIT_KEY[CipherEngine.MORBIT_DIGITS[i]] = pair; });
+
+test('Morbit encodes each pair of symbols as one digit', () => {
+    assert.equal(CipherEngine.encodeMorbit(MORSE, MORBIT_KEY), '44858637668583447');
+    assert.equal(CipherEngine.encodeMorbit('.-.', MORBIT_KEY), '23');
+});
+
+test('Morbit round-trips with generated keys', () => {
+    const random = CipherEngine.createRandom('morbit');
+    for (let i = 0; i < 5; i++) {
+        const key = CipherEngine.generateMorbitKey(random);
+        assert.deepEqual(Object.values(key).sort(), [...CipherEngine.MORBIT_PAIRS].sort());
+        assert.equal(CipherEngine.decodeMorbit(CipherEngine.encodeMorbit(MORSE, key), key), MORSE);
+    }
+});
+
+test('Morbit decodes digits missing from a partial key as ??', () => {
+    assert.equal(CipherEngine.decodeMorbit('1299', { 1: '..' }), '..??????');
+});
+
+test('Pollux keys give every symbol at least three digits', () => {
+    const random = CipherEngine.createRandom('pollux-key');
+    for (let i = 0; i < 20; i++) {
+        const symbols = Object.values(CipherEngine.generatePolluxKey(random));
+        assert.equal(symbols.length, 10);
+        for (const symbol of CipherEngine.POLLUX_SYMBOLS) {
+            assert.ok(symbols.filter(s => s === symbol).length >= 3);
+        }
+    }
+});
+
+test('Pollux round-trips with generated keys', () => {
+    const random = CipherEngine.createRandom('pollux');
+    for (let i = 0; i < 5; i++) {
+        const key = CipherEngine.generatePolluxKey(random);
+        const digits = CipherEngine.encodePollux(MORSE, key, random);
+        assert.equal(digits.length, MORSE.length);
+        assert.equal(CipherEngine.decodePollux(digits, key), MORSE);
+    }
+});
+
+test('Pollux decodes digits missing from a partial key as ?', () => {
+    assert.equal(CipherEngine.decodePollux('0123', { 0: '.' }), '.???');
+});
+
+test('a wrong symbol only costs the letters it touches', () => {
+    assert.equal(CipherEngine.countMorseLetterErrors(MORSE, MORSE), 0);
+    assert.equal(CipherEngine.countMorseLetterErrors('.-X-...', '.-X-..?'), 1);
+    assert.equal(CipherEngine.countMorseLetterErrors('.-X-...', '??X-...'), 1);
+    assert.equal(CipherEngine.countMorseLetterErrors('.-X-...', '.-?-...'), 2);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CipherEngine = require('../cipher-engine.js');
+
+test('Morse sequences separate letters with X and words with XX', () => {
+    assert.equal(CipherEngine.generateMorseSequence('Come at once'), '-.-.X---X--X.XX.-X-XX---X-.X-.-.X.');
+    assert.equal(CipherEngine.padMorseSequence('.-'), '.-X');
+    assert.equal(CipherEngine.padMorseSequence('.-X'), '.-X');
+});
+
+test('Morse sequences decode back to the plaintext, padding ignored', () => {
+    const decoded = CipherEngine.decodeMorseSequence(CipherEngine.padMorseSequence(CipherEngine.generateMorseSequence('SOS at sea')));
+    assert.equal(decoded.plaintext, 'SOS AT SEA');
+    assert.deepEqual(decoded.morseLetters.slice(0, 3), ['...', '---', '...']);
+    assert.equal(CipherEngine.decodeMorseSequence('.-X?.').plaintext, 'A?');
+});
+
+test('the ROUNDTABLE example encrypts to CBIILTMHVVFL', () => {
+    const morse = CipherEngine.generateMorseSequence('Come at once');
+    assert.equal(CipherEngine.encodeFractionatedMorse(morse, 'ROUNDTABLE'), 'CBIILTMHVVFL');
+});
+
+test('Fractionated Morse round-trips', () => {
+    const morse = CipherEngine.generateMorseSequence('The quick brown fox jumps over the lazy dog');
+    for (const key of ['MORSE', 'TELEGRAPH', 'WIRELESS']) {
+        const ciphertext = CipherEngine.encodeFractionatedMorse(morse, key);
+        const decoded = CipherEngine.decodeFractionatedMorse(ciphertext, key);
+        assert.equal(decoded.plaintext, 'THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG');
+        assert.equal(decoded.trigrams.join(''), CipherEngine.padMorseSequence(morse));
+    }
+});
+
+test('the trigram table covers 26 of the 27 trigrams', () => {
+    const trigrams = CipherEngine.generateTrigrams();
+    assert.equal(trigrams.length, 27);
+    assert.equal(trigrams[0], '...');
+    assert.equal(trigrams[26], 'XXX');
+    const table = CipherEngine.buildMorseTable('ROUNDTABLE');
+    assert.equal(table['...'], 'R');
+    assert.equal(table.XXX, undefined);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CipherEngine = require('../cipher-engine.js');
+
+test('Polybius squares put the keyword first and merge J into I', () => {
+    assert.equal(CipherEngine.generatePolybiusSequence('ZEBRAS'), 'ZEBRASCDFGHIKLMNOPQTUVWXY');
+    assert.equal(CipherEngine.generatePolybiusSequence('JINX'), 'INXABCDEFGHKLMOPQRSTUVWYZ');
+    assert.equal(CipherEngine.generatePolybiusSequence(''), CipherEngine.ALPHABET_25);
+});
+
+test('coordinates are row then column, from 11 to 55', () => {
+    const sequence = CipherEngine.generatePolybiusSequence('ZEBRAS');
+    assert.equal(CipherEngine.charToCoordinate('Z', sequence), '11');
+    assert.equal(CipherEngine.charToCoordinate('J', sequence), '32');
+    assert.equal(CipherEngine.charToCoordinate('Y', sequence), '55');
+    assert.equal(CipherEngine.coordinateToChar('32', sequence), 'I');
+    assert.equal(CipherEngine.coordinateToChar('61', sequence), '?');
+    assert.equal(CipherEngine.coordinateToChar('1', sequence), '');
+});
+
+test('each coordinate has the next key digit added', () => {
+    assert.deepEqual(CipherEngine.encryptNihilist('AB', '', '12'), [12, 14]);
+    assert.deepEqual(CipherEngine.removeNihilistKey([12, 14, 70], '12'), ['11', '12', null]);
+});
+
+test('Nihilist round-trips, with J reading back as I', () => {
+    const ciphertext = CipherEngine.encryptNihilist('Dynamite Winter Palace Jump', 'ZEBRAS', '3715');
+    assert.equal(CipherEngine.decryptNihilist(ciphertext, 'ZEBRAS', '3715'), 'DYNAMITEWINTERPALACEIUMP');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CipherEngine = require('../cipher-engine.js');
+
+const PLAIN = 'ATTACKATDAWN';
+
+test('the textbook LEMON example encrypts under each tableau', () => {
+    assert.equal(CipherEngine.encryptPolyalphabetic(PLAIN, 'LEMON', 'vigenere'), 'LXFOPVEFRNHR');
+    assert.equal(CipherEngine.encryptPolyalphabetic(PLAIN, 'LEMON', 'variant'), 'PPHMPZWHPNLJ');
+    assert.equal(CipherEngine.encryptPolyalphabetic(PLAIN, 'LEMON', 'beaufort'), 'LLTOLBETLNPR');
+    assert.equal(CipherEngine.encryptPolyalphabetic(PLAIN, '31415', 'gronsfeld'), 'DUXBHNBXEFZO');
+});
+
+test('autokey extends the primer with the plaintext', () => {
+    assert.equal(CipherEngine.encryptPolyalphabetic(PLAIN, 'QUEENLY', 'autokey'), 'QNXEPVYTWTWP');
+    assert.deepEqual(CipherEngine.getPolyalphabeticKeyStream(PLAIN, 'QUEENLY', 'autokey'), [16, 20, 4, 4, 13, 11, 24, 0, 19, 19, 0, 2]);
+});
+
+test('spaces and punctuation are dropped', () => {
+    assert.equal(CipherEngine.encryptPolyalphabetic('Attack at dawn!', 'LEMON', 'vigenere'), 'LXFOPVEFRNHR');
+});
+
+test('every type round-trips', () => {
+    const plain = 'THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG';
+    for (const type of CipherEngine.POLYALPHABETIC_TYPES) {
+        for (const key of type === 'gronsfeld' ? ['31415', '7'] : ['KEY', 'LEMON', 'Z']) {
+            const ciphertext = CipherEngine.encryptPolyalphabetic(plain, key, type);
+            assert.equal(CipherEngine.decryptPolyalphabetic(ciphertext, key, type), plain);
+        }
+    }
+});
+
+test('an empty key gives no ciphertext', () => {
+    assert.equal(CipherEngine.encryptPolyalphabetic(PLAIN, '', 'vigenere'), '');
+    assert.equal(CipherEngine.decryptPolyalphabetic(PLAIN, '', 'autokey'), '');
+});
+
+test('a crib letter gives back the key letter', () => {
+    assert.equal(CipherEngine.findPolyalphabeticShift(0, 11, 'vigenere'), 11);
+    assert.equal(CipherEngine.findPolyalphabeticShift(0, 11, 'beaufort'), 11);
+    assert.equal(CipherEngine.findPolyalphabeticShift(0, 11, 'variant'), 15);
+    assert.equal(CipherEngine.findPolyalphabeticShift(19, 11, 'beaufort'), 4);
+});
+
+test('tableaux have one row per key character', () => {
+    const beaufort = CipherEngine.buildPolyalphabeticTableau('beaufort');
+    assert.equal(Object.keys(beaufort).length, 26);
+    assert.equal(beaufort.A, 'AZYXWVUTSRQPONMLKJIHGFEDCB');
+    const gronsfeld = CipherEngine.buildPolyalphabeticTableau('gronsfeld');
+    assert.deepEqual(Object.keys(gronsfeld), '0123456789'.split(''));
+    assert.equal(gronsfeld['3'], 'DEFGHIJKLMNOPQRSTUVWXYZABC');
+});
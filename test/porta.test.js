@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CipherEngine = require('../cipher-engine.js');
+
+test('the tableau matches the standard Porta rows', () => {
+    assert.equal(CipherEngine.PORTA_TABLE.A, 'NOPQRSTUVWXYZABCDEFGHIJKLM');
+    assert.equal(CipherEngine.PORTA_TABLE.C.slice(0, 13), 'ZNOPQRSTUVWXY');
+    assert.equal(CipherEngine.PORTA_TABLE.C, CipherEngine.PORTA_TABLE.D);
+});
+
+test('every row swaps letters in pairs between A-M and N-Z', () => {
+    for (const row of Object.values(CipherEngine.PORTA_TABLE)) {
+        row.split('').forEach((char, i) => {
+            assert.equal(row[CipherEngine.ALPHABET.indexOf(char)], CipherEngine.ALPHABET[i]);
+            assert.notEqual(i < 13, CipherEngine.ALPHABET.indexOf(char) < 13);
+        });
+    }
+});
+
+test('Porta is reciprocal', () => {
+    assert.equal(CipherEngine.portaProcess('ABCNOP', 'CCCCCC'), 'ZNOBCD');
+    const ciphertext = CipherEngine.portaProcess('Defend the east wall of the castle', 'FORTIFICATION');
+    assert.equal(CipherEngine.portaProcess(ciphertext, 'FORTIFICATION'), 'DEFENDTHEEASTWALLOFTHECASTLE');
+    assert.equal(CipherEngine.portaProcess('TEXT', ''), '');
+});
+
+test('key pairs are found from a plaintext and ciphertext letter', () => {
+    assert.equal(CipherEngine.portaKeyPair('D'), 'CD');
+    assert.equal(CipherEngine.findPortaKeyPair('A', 'Z'), 'CD');
+    assert.equal(CipherEngine.findPortaKeyPair('A', 'B'), null);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CipherEngine = require('../cipher-engine.js');
+
+const QUOTE = 'The quick brown fox jumps over the lazy dog!';
+
+test('random keys are derangements that round-trip', () => {
+    const random = CipherEngine.createRandom('substitution');
+    for (let i = 0; i < 20; i++) {
+        const key = CipherEngine.generateRandomKey(CipherEngine.ALPHABET, random);
+        assert.equal(Object.keys(key).length, 26);
+        for (const [cipher, plain] of Object.entries(key)) {
+            assert.notEqual(cipher, plain);
+        }
+        const ciphertext = CipherEngine.encryptSubstitution(QUOTE, key);
+        assert.equal(CipherEngine.decryptSubstitution(ciphertext, key), QUOTE.toUpperCase());
+    }
+});
+
+test('keyed alphabets put the keyword first, without repeats', () => {
+    assert.equal(CipherEngine.buildKeyedAlphabet('KEYWORD'), 'KEYWORDABCFGHIJLMNPQSTUVXZ');
+    assert.equal(CipherEngine.buildKeyedAlphabet('balloon'), 'BALONCDEFGHIJKMPQRSTUVWXYZ');
+    assert.equal(CipherEngine.shiftAlphabet('ABCDE', 2), 'CDEAB');
+});
+
+test('K1, K2 and K3 keys round-trip and keep the keyed alphabet', () => {
+    const random = CipherEngine.createRandom('keyed');
+    for (const keyType of ['K1', 'K2', 'K3']) {
+        const key = CipherEngine.generateKeyedKey(keyType, 'KEYWORD', CipherEngine.ALPHABET, random);
+        assert.ok(key, `${keyType} key`);
+        for (const [cipher, plain] of Object.entries(key)) {
+            assert.notEqual(cipher, plain);
+        }
+        const ciphertext = CipherEngine.encryptSubstitution(QUOTE, key);
+        assert.equal(CipherEngine.decryptSubstitution(ciphertext, key), QUOTE.toUpperCase());
+    }
+    // K1: the keyed alphabet is the plaintext row, read in cipher order A-Z after the shift
+    const k1 = CipherEngine.generateKeyedKey('K1', 'KEYWORD', CipherEngine.ALPHABET, random);
+    const plainRow = CipherEngine.ALPHABET.split('').map(char => k1[char]).join('');
+    assert.ok((plainRow + plainRow).includes('KEYWORDABCFGHIJLMNPQSTUVXZ'));
+});
+
+test('punctuation and spaces pass through, and Patristocrat text is grouped in fives', () => {
+    const key = CipherEngine.generateRandomKey(CipherEngine.ALPHABET, CipherEngine.createRandom(1));
+    assert.match(CipherEngine.encryptSubstitution('A, B!', key), /^[A-Z], [A-Z]!$/);
+    assert.equal(CipherEngine.formatPatristocrat('ABCDEFGHIJKL'), 'ABCDE FGHIJ KL');
+});
+
+test('word patterns match words with the same repeated letters', () => {
+    assert.equal(CipherEngine.getWordPattern('THAT'), CipherEngine.getWordPattern('XQYX'));
+    assert.notEqual(CipherEngine.getWordPattern('THAT'), CipherEngine.getWordPattern('THEM'));
+    const index = CipherEngine.buildPatternIndex(['THAT', 'THEM', 'HIGH']);
+    assert.deepEqual(CipherEngine.findPatternMatches('XQYX', index), ['THAT', 'HIGH']);
+});